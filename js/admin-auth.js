@@ -0,0 +1,219 @@
+// Admin sign-in: register, log in and out, and the guard that keeps admin.html behind a session.
+// With a backend (window.API_BASE_URL) credentials are checked by POST /admin/login and /admin/register, which
+// return { token, expiresAt | expiresIn (seconds) }. Without one, accounts are kept in this browser
+// (localStorage 'admin-accounts', passwords as salted PBKDF2 hashes) and registration is closed once an admin
+// exists, except for a signed-in admin adding another. Either way this only hides the panel in the browser;
+// a backend has to check the token for anything it serves.
+// The session is 'adminToken', 'adminTokenExpires' (ms) and 'adminEmail' (recorded on slip reviews).
+// Exposed as window.ShopAdminAuth.
+
+(function () {
+    const TOKEN_KEY = 'adminToken';
+    const EXPIRES_KEY = 'adminTokenExpires';
+    const EMAIL_KEY = 'adminEmail';
+    const ACCOUNTS_KEY = 'admin-accounts';
+    const SESSION_HOURS = 8; // local sessions, and backend tokens that don't say when they expire
+    const MIN_PASSWORD = 8;
+    const PBKDF2_ITERATIONS = 100000;
+    const LOGIN_PAGE = 'admin-login.html';
+
+    const baseUrl = (window.API_BASE_URL || '').replace(/\/$/, '');
+
+    function safeParse(raw) {
+        try { return raw ? JSON.parse(raw) : []; } catch { return []; }
+    }
+
+    const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function randomHex(bytes) {
+        return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    async function hashPassword(password, salt) {
+        // browsers only offer crypto.subtle on https:// and localhost
+        if (!window.crypto || !window.crypto.subtle) throw new Error('Open the admin over HTTPS (or on localhost) to sign in.');
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: new TextEncoder().encode(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            key,
+            256
+        );
+        return toHex(bits);
+    }
+
+    // --- session ---
+    function startSession(email, token, expiresAt) {
+        localStorage.setItem(TOKEN_KEY, token);
+        localStorage.setItem(EXPIRES_KEY, String(expiresAt));
+        localStorage.setItem(EMAIL_KEY, email);
+    }
+
+    function clearSession() {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(EXPIRES_KEY);
+        localStorage.removeItem(EMAIL_KEY);
+    }
+
+    // { token, email, expiresAt }, or null when signed out or expired (an expired session is cleared)
+    function session() {
+        const token = localStorage.getItem(TOKEN_KEY);
+        const expiresAt = Number(localStorage.getItem(EXPIRES_KEY));
+        if (!token || !Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+            if (token) clearSession();
+            return null;
+        }
+        return { token, email: localStorage.getItem(EMAIL_KEY) || '', expiresAt };
+    }
+
+    // a JWT's own expiry, when the backend sends one without expiresAt / expiresIn
+    function jwtExpiry(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 : null;
+        } catch { return null; }
+    }
+
+    function expiryOf(data) {
+        if (data.expiresAt) {
+            const at = typeof data.expiresAt === 'number' ? data.expiresAt : Date.parse(data.expiresAt);
+            if (Number.isFinite(at)) return at;
+        }
+        if (Number(data.expiresIn) > 0) return Date.now() + Number(data.expiresIn) * 1000;
+        return jwtExpiry(data.token) || Date.now() + SESSION_HOURS * 3600 * 1000;
+    }
+
+    // --- backend ---
+    async function post(path, body, token) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        let res;
+        try {
+            res = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+        } catch (err) {
+            console.warn('[admin-auth] request failed', path, err);
+            throw new Error('The server could not be reached. Please try again.');
+        }
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            const error = new Error(data.message || data.error || `Request failed (${res.status})`);
+            error.status = res.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // --- local stand-in ---
+    function loadAccounts() { return safeParse(localStorage.getItem(ACCOUNTS_KEY)); }
+
+    function validateCredentials(email, password) {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return 'Please enter a valid email address.';
+        if (String(password || '').length < MIN_PASSWORD) return `The password must be at least ${MIN_PASSWORD} characters.`;
+        return '';
+    }
+
+    async function localRegister(email, password) {
+        const accounts = loadAccounts();
+        if (accounts.length && !session()) {
+            throw new Error('Registration is closed. Ask an existing admin to add your account after they log in.');
+        }
+        if (accounts.some(a => a.email === email)) throw new Error('An admin with this email already exists.');
+        const salt = randomHex(16);
+        accounts.push({ email, salt, hash: await hashPassword(password, salt), createdAt: Date.now() });
+        localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    }
+
+    async function localLogin(email, password) {
+        const account = loadAccounts().find(a => a.email === email);
+        // the hash is worked out either way so a missing account takes as long as a wrong password
+        const hash = await hashPassword(password, account ? account.salt : 'no-account');
+        if (!account || hash !== account.hash) throw new Error('Incorrect email or password.');
+        startSession(email, randomHex(32), Date.now() + SESSION_HOURS * 3600 * 1000);
+    }
+
+    // --- public ---
+    async function login(email, password) {
+        const address = normalizeEmail(email);
+        if (!address || !password) throw new Error('Please enter your email and password.');
+        if (!baseUrl) return localLogin(address, password);
+        let data;
+        try {
+            data = await post('/admin/login', { email: address, password });
+        } catch (err) {
+            if (err.status === 401 || err.status === 403) throw new Error('Incorrect email or password.');
+            throw err;
+        }
+        if (!data.token) throw new Error('The server did not return a session. Please try again.');
+        startSession(address, data.token, expiryOf(data));
+    }
+
+    // creates the account and signs in with it (a signed-in admin adding someone else stays signed in as themselves)
+    async function register(email, password) {
+        const address = normalizeEmail(email);
+        const problem = validateCredentials(address, password);
+        if (problem) throw new Error(problem);
+        const current = session();
+        if (!baseUrl) {
+            await localRegister(address, password);
+            if (!current) await localLogin(address, password);
+            return;
+        }
+        const data = await post('/admin/register', { email: address, password }, current && current.token);
+        if (!current && data.token) startSession(address, data.token, expiryOf(data));
+    }
+
+    async function logout() {
+        const current = session();
+        clearSession();
+        if (baseUrl && current) {
+            await post('/admin/logout', {}, current.token).catch(err => console.warn('[admin-auth] logout request failed', err));
+        }
+    }
+
+    function redirectToLogin(reason = '') {
+        const params = new URLSearchParams({ next: window.location.pathname.split('/').pop() || 'admin.html' });
+        if (reason) params.set(reason, '1');
+        window.location.replace(`${LOGIN_PAGE}?${params}`);
+    }
+
+    // admin.html: signed-out visitors go to the login page before any admin data is shown; the page signs out
+    // when the session runs out, or when another tab logs out (a session renewed elsewhere moves the expiry)
+    function guard() {
+        const current = session();
+        if (!current) {
+            // runs in <head>: stop parsing so the admin scripts further down never run
+            window.stop();
+            redirectToLogin();
+            return false;
+        }
+        let timer = null;
+        const arm = (expiresAt) => {
+            clearTimeout(timer);
+            // setTimeout can't wait longer than ~24.8 days
+            timer = setTimeout(() => {
+                if (!session()) redirectToLogin('expired');
+            }, Math.min(expiresAt - Date.now(), 2 ** 31 - 1));
+        };
+        arm(current.expiresAt);
+        window.addEventListener('storage', (e) => {
+            if (e.key !== TOKEN_KEY && e.key !== EXPIRES_KEY && e.key !== null) return;
+            const renewed = session();
+            if (renewed) arm(renewed.expiresAt);
+            else redirectToLogin();
+        });
+        return true;
+    }
+
+    window.ShopAdminAuth = {
+        MIN_PASSWORD,
+        session,
+        login,
+        register,
+        logout,
+        guard,
+        hasLocalAccounts: () => !baseUrl && loadAccounts().length > 0
+    };
+})();
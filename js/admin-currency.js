@@ -0,0 +1,38 @@
+// Admin Currency tab: the LKR exchange rates used for the storefront's currency switcher.
+// Relies on window.ShopPricing (js/pricing.js).
+
+(function () {
+    const Pricing = window.ShopPricing;
+    const form = document.getElementById('currencyRatesForm');
+    if (!Pricing || !form) return;
+
+    const status = document.getElementById('currencyRatesStatus');
+    const codes = Pricing.CURRENCIES.filter(code => code !== Pricing.BASE_CURRENCY);
+
+    function renderRates() {
+        const rates = Pricing.getRates();
+        codes.forEach(code => {
+            const input = document.getElementById('rate-' + code);
+            if (input) input.value = rates[code] || '';
+        });
+    }
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const rates = {};
+        codes.forEach(code => {
+            const input = document.getElementById('rate-' + code);
+            if (input && input.value.trim()) rates[code] = Number(input.value);
+        });
+        const saved = Pricing.saveRates(rates);
+        renderRates();
+        if (status) {
+            const enabled = Object.keys(saved);
+            status.textContent = enabled.length
+                ? `Saved. Visitors can switch to ${enabled.join(', ')}.`
+                : 'Saved. Prices are shown in LKR only.';
+        }
+    });
+
+    renderRates();
+})();
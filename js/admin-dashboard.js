@@ -0,0 +1,334 @@
+// Admin Dashboard tab: sales report for a date range, worked out from the stored orders and slips.
+// Revenue counts orders whose payment was verified and that weren't cancelled, by the day they were placed;
+// order counts include every status. Pending slips and low stock are the current state, whatever the range.
+// Relies on window.ShopOrders, window.ShopSlips, window.ShopProducts, window.ShopInventory and window.ShopCsv.
+
+(function () {
+    const Orders = window.ShopOrders;
+    const container = document.getElementById('dashboardReport');
+    if (!Orders || !container) return;
+
+    const PAID_STATUSES = ['verified', 'processing', 'shipped', 'delivered'];
+    const TOP_COUNT = 10;
+    const DAY = 24 * 3600 * 1000;
+
+    function el(id) { return document.getElementById(id); }
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    function formatMoney(n) { return window.ShopPricing.formatBase(n); }
+
+    // local calendar dates, as <input type="date"> uses them
+    function isoDate(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    function parseDate(value, endOfDay = false) {
+        const [y, m, d] = String(value || '').split('-').map(Number);
+        if (!y || !m || !d) return null;
+        return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999).getTime() : new Date(y, m - 1, d).getTime();
+    }
+
+    // --- periods: days, weeks starting on Monday, calendar months ---
+    function periodStart(ts, groupBy) {
+        const d = new Date(ts);
+        d.setHours(0, 0, 0, 0);
+        if (groupBy === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        if (groupBy === 'month') d.setDate(1);
+        return d;
+    }
+
+    function nextPeriod(d, groupBy) {
+        const next = new Date(d);
+        if (groupBy === 'month') next.setMonth(next.getMonth() + 1);
+        else next.setDate(next.getDate() + (groupBy === 'week' ? 7 : 1));
+        return next;
+    }
+
+    function periodLabel(d, groupBy) {
+        if (groupBy === 'month') return d.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+        const day = d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+        return groupBy === 'week' ? `Week of ${day}` : day;
+    }
+
+    // --- report ---
+    // { from, to } are timestamps (inclusive); groupBy: 'day' | 'week' | 'month'
+    function buildReport({ from, to, groupBy }, products = []) {
+        const inRange = Orders.list().filter(o => Number(o.createdAt) >= from && Number(o.createdAt) <= to);
+        const paid = inRange.filter(o => PAID_STATUSES.includes(o.status));
+        const totalOf = (o) => Number(o.totals && o.totals.total) || 0;
+        const revenue = paid.reduce((sum, o) => sum + totalOf(o), 0);
+
+        const series = [];
+        const byPeriod = new Map();
+        for (let d = periodStart(from, groupBy); d.getTime() <= to; d = nextPeriod(d, groupBy)) {
+            const period = { start: isoDate(d), label: periodLabel(d, groupBy), orders: 0, revenue: 0 };
+            series.push(period);
+            byPeriod.set(period.start, period);
+        }
+        paid.forEach(o => {
+            const period = byPeriod.get(isoDate(periodStart(o.createdAt, groupBy)));
+            if (!period) return;
+            period.orders++;
+            period.revenue += totalOf(o);
+        });
+
+        const statuses = Object.keys(Orders.STATUSES).map(status => ({
+            status,
+            label: Orders.STATUSES[status],
+            orders: inRange.filter(o => o.status === status).length
+        }));
+
+        // line totals before order discounts and delivery
+        const productTotals = new Map();
+        const categoryTotals = new Map();
+        const add = (map, key, fields, units, amount) => {
+            const row = map.get(key) || map.set(key, { ...fields, units: 0, revenue: 0 }).get(key);
+            row.units += units;
+            row.revenue += amount;
+        };
+        paid.forEach(o => (o.items || []).forEach(item => {
+            const units = Number(item.quantity) || 0;
+            const amount = Orders.lineTotal(item);
+            add(productTotals, String(item.productId != null ? item.productId : item.name), { name: item.name || 'Unnamed item' }, units, amount);
+            add(categoryTotals, item.category || 'Uncategorized', { name: item.category || 'Uncategorized' }, units, amount);
+        }));
+        const top = (map) => Array.from(map.values()).sort((a, b) => b.revenue - a.revenue || b.units - a.units).slice(0, TOP_COUNT);
+
+        const pendingSlips = (window.ShopSlips ? window.ShopSlips.list() : [])
+            .filter(s => s.status === 'pending')
+            .sort((a, b) => (a.submittedAt || 0) - (b.submittedAt || 0));
+
+        return {
+            from,
+            to,
+            groupBy,
+            revenue,
+            paidOrders: paid.length,
+            averageOrder: paid.length ? revenue / paid.length : 0,
+            ordersPlaced: inRange.length,
+            series,
+            statuses,
+            topProducts: top(productTotals),
+            topCategories: top(categoryTotals),
+            pendingSlips,
+            lowStock: lowStock(products)
+        };
+    }
+
+    // products and variants at or below the low-stock level, fewest first
+    function lowStock(products) {
+        const Inventory = window.ShopInventory;
+        if (!Inventory) return [];
+        const rows = [];
+        const check = (product, variant) => {
+            const units = Inventory.level(product, variant);
+            if (!['sold_out', 'low'].includes(Inventory.status(units))) return;
+            rows.push({
+                name: product.title,
+                variant: variant ? window.ShopProducts.variantLabel(variant.options) : '',
+                sku: variant ? variant.sku : '',
+                units
+            });
+        };
+        products.forEach(p => {
+            if (p.variants.length) p.variants.filter(v => v.available).forEach(v => check(p, v));
+            else check(p, null);
+        });
+        return rows.sort((a, b) => a.units - b.units);
+    }
+
+    // --- charts: plain bars sized as a share of the largest value ---
+    const share = (value, max) => (max > 0 ? Math.max(1, Math.round((value / max) * 100)) : 0);
+
+    function columnChart(series) {
+        const max = Math.max(0, ...series.map(p => p.revenue));
+        if (!series.length) return '';
+        return `
+        <div class="chart-columns" role="img" aria-label="Revenue by period">
+          ${series.map(p => `
+          <div class="chart-column" title="${escapeHtml(`${p.label}: ${formatMoney(p.revenue)} from ${p.orders} ${p.orders === 1 ? 'order' : 'orders'}`)}">
+            <span class="chart-bar" style="height:${share(p.revenue, max)}%"></span>
+            <span class="chart-label">${escapeHtml(p.label)}</span>
+          </div>`).join('')}
+        </div>`;
+    }
+
+    // rows: [{ label, value, text }]
+    function barRows(rows, empty) {
+        if (!rows.length) return `<div style="color:#777">${empty}</div>`;
+        const max = Math.max(0, ...rows.map(r => r.value));
+        return `
+        <div class="chart-rows">
+          ${rows.map(r => `
+          <div class="chart-row">
+            <span class="chart-row-label">${r.label}</span>
+            <span class="chart-row-track"><span class="chart-bar" style="width:${share(r.value, max)}%"></span></span>
+            <span class="chart-row-value">${escapeHtml(r.text)}</span>
+          </div>`).join('')}
+        </div>`;
+    }
+
+    function renderReport(report) {
+        const units = (n) => `${n} ${n === 1 ? 'unit' : 'units'}`;
+        const salesRows = (rows) => rows.map(r => ({ label: escapeHtml(r.name), value: r.revenue, text: `${formatMoney(r.revenue)} · ${units(r.units)}` }));
+        container.innerHTML = `
+        <div class="dashboard-cards">
+          <div class="dashboard-card"><span>Revenue</span><strong>${formatMoney(report.revenue)}</strong></div>
+          <div class="dashboard-card"><span>Paid orders</span><strong>${report.paidOrders}</strong></div>
+          <div class="dashboard-card"><span>Average order value</span><strong>${formatMoney(report.averageOrder)}</strong></div>
+          <div class="dashboard-card"><span>Orders placed</span><strong>${report.ordersPlaced}</strong></div>
+          <div class="dashboard-card"><span>Slips to verify</span><strong>${report.pendingSlips.length}</strong></div>
+        </div>
+
+        <div class="dashboard-panel">
+          <h3>Revenue by ${escapeHtml(report.groupBy)}</h3>
+          ${report.paidOrders ? columnChart(report.series) : '<div style="color:#777">No paid orders in this period.</div>'}
+        </div>
+
+        <div class="dashboard-grid">
+          <div class="dashboard-panel">
+            <h3>Orders by status</h3>
+            ${barRows(report.statuses.filter(s => s.orders).map(s => ({
+                label: `<span class="status-badge status-${escapeHtml(s.status)}">${escapeHtml(s.label)}</span>`,
+                value: s.orders,
+                text: String(s.orders)
+            })), 'No orders in this period.')}
+          </div>
+          <div class="dashboard-panel">
+            <h3>Top products</h3>
+            ${barRows(salesRows(report.topProducts), 'No sales in this period.')}
+          </div>
+          <div class="dashboard-panel">
+            <h3>Top categories</h3>
+            ${barRows(salesRows(report.topCategories), 'No sales in this period.')}
+          </div>
+        </div>
+
+        <div class="dashboard-grid">
+          <div class="dashboard-panel">
+            <h3>Slips awaiting verification</h3>
+            ${report.pendingSlips.length ? `
+            <ul class="dashboard-list">
+              ${report.pendingSlips.map(s => `
+              <li>
+                <strong>${escapeHtml(s.orderId || s.id)}</strong> ${escapeHtml(s.name || '')}
+                <div style="color:#777"><small>${typeof s.amount === 'number' ? formatMoney(s.amount) : escapeHtml(s.amount || '')} · submitted ${s.submittedAt ? new Date(s.submittedAt).toLocaleString() : '-'}</small></div>
+              </li>`).join('')}
+            </ul>
+            <button type="button" class="btn-small" data-dashboard-tab="slips">Review slips</button>` : '<div style="color:#777">No slips waiting.</div>'}
+          </div>
+          <div class="dashboard-panel">
+            <h3>Low stock</h3>
+            ${report.lowStock.length ? `
+            <ul class="dashboard-list">
+              ${report.lowStock.map(r => `
+              <li>
+                ${escapeHtml(r.name)}${r.variant ? ` <small style="color:#777">${escapeHtml(r.variant)}</small>` : ''}
+                <div class="stock-warning"><small>${r.units <= 0 ? 'Sold out' : `${r.units} left`}</small></div>
+              </li>`).join('')}
+            </ul>
+            <button type="button" class="btn-small" data-dashboard-tab="products">Manage products</button>` : `<div style="color:#777">Nothing at ${window.ShopInventory ? window.ShopInventory.LOW_STOCK : 3} or fewer left.</div>`}
+          </div>
+        </div>
+      `;
+    }
+
+    // --- CSV: one block per section, separated by blank lines ---
+    function reportCsv(report) {
+        const csv = window.ShopCsv;
+        const money = (n) => Math.round(n * 100) / 100;
+        const blocks = [
+            csv.stringify(['metric', 'value'], [
+                { metric: 'From', value: isoDate(report.from) },
+                { metric: 'To', value: isoDate(report.to) },
+                { metric: 'Revenue (LKR)', value: money(report.revenue) },
+                { metric: 'Paid orders', value: report.paidOrders },
+                { metric: 'Average order value (LKR)', value: money(report.averageOrder) },
+                { metric: 'Orders placed', value: report.ordersPlaced },
+                { metric: 'Slips awaiting verification', value: report.pendingSlips.length }
+            ]),
+            csv.stringify([{ key: 'start', label: `${report.groupBy} starting` }, 'orders', { key: 'revenue', label: 'revenue (LKR)' }],
+                report.series.map(p => ({ ...p, revenue: money(p.revenue) }))),
+            csv.stringify(['status', 'orders'], report.statuses.map(s => ({ status: s.label, orders: s.orders }))),
+            csv.stringify([{ key: 'name', label: 'product' }, 'units', { key: 'revenue', label: 'revenue (LKR)' }],
+                report.topProducts.map(r => ({ ...r, revenue: money(r.revenue) }))),
+            csv.stringify([{ key: 'name', label: 'category' }, 'units', { key: 'revenue', label: 'revenue (LKR)' }],
+                report.topCategories.map(r => ({ ...r, revenue: money(r.revenue) }))),
+            csv.stringify([{ key: 'orderId', label: 'pending slip order' }, 'name', 'amount', { key: 'submitted', label: 'submitted' }],
+                report.pendingSlips.map(s => ({ ...s, submitted: s.submittedAt ? new Date(s.submittedAt).toISOString() : '' }))),
+            csv.stringify([{ key: 'name', label: 'low stock product' }, 'variant', 'sku', { key: 'units', label: 'units left' }], report.lowStock)
+        ];
+        return blocks.join('\r\n');
+    }
+
+    // --- range controls ---
+    const fromInput = el('dash-from');
+    const toInput = el('dash-to');
+    const groupSel = el('dash-group');
+
+    function setRange(range) {
+        const today = new Date();
+        const from = range === 'year'
+            ? new Date(today.getFullYear(), 0, 1)
+            : new Date(today.getTime() - (Number(range) - 1) * DAY);
+        if (fromInput) fromInput.value = isoDate(from);
+        if (toInput) toInput.value = isoDate(today);
+    }
+
+    // the picked range; a reversed one is swapped
+    function currentRange() {
+        let from = parseDate(fromInput && fromInput.value);
+        let to = parseDate(toInput && toInput.value, true);
+        if (from == null) from = parseDate(isoDate(Date.now() - 29 * DAY));
+        if (to == null) to = parseDate(isoDate(Date.now()), true);
+        if (from > to) [from, to] = [parseDate(isoDate(to)), parseDate(isoDate(from), true)];
+        return { from, to, groupBy: groupSel ? groupSel.value : 'day' };
+    }
+
+    let products = [];
+    let lastReport = null;
+
+    function renderDashboard() {
+        lastReport = buildReport(currentRange(), products);
+        renderReport(lastReport);
+    }
+
+    async function loadProducts() {
+        try {
+            products = (await window.ShopProducts.loadAll()).products;
+        } catch (err) {
+            console.warn('[admin-dashboard] products unavailable for the low-stock list', err);
+            products = [];
+        }
+        renderDashboard();
+    }
+
+    setRange(30);
+    [fromInput, toInput, groupSel].forEach(input => { if (input) input.addEventListener('change', renderDashboard); });
+    document.querySelectorAll('[data-range]').forEach(btn => btn.addEventListener('click', () => {
+        setRange(btn.dataset.range);
+        renderDashboard();
+    }));
+    if (el('dash-export')) {
+        el('dash-export').addEventListener('click', () => {
+            const report = lastReport || buildReport(currentRange(), products);
+            window.ShopCsv.download(`sales-report-${isoDate(report.from)}-to-${isoDate(report.to)}.csv`, reportCsv(report));
+        });
+    }
+    container.addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-dashboard-tab]');
+        if (tab) document.querySelector(`.tab-link[data-tab="${tab.dataset.dashboardTab}"]`)?.click();
+    });
+
+    window.addEventListener('ordersUpdated', renderDashboard);
+    window.addEventListener('slipsUpdated', renderDashboard);
+    window.addEventListener('stockUpdated', renderDashboard);
+    window.addEventListener('localProductsUpdated', loadProducts);
+    window.addEventListener('storage', (e) => { if (e.key === 'orders') renderDashboard(); });
+
+    // expose render function to window for tab switch script to call
+    window.renderDashboard = renderDashboard;
+
+    // slips and admin products come from js/store.js
+    window.ShopStore.ready.then(loadProducts);
+})();
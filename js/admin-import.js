@@ -0,0 +1,422 @@
+// Admin Import / Export tab: bulk product import from CSV or JSON with a preview, per-row validation and
+// category mapping, committed in one step; export of the admin products and categories as CSV or JSON.
+// CSV columns: title, price, description, category, image, stock (optional: id, slug, images, metal, karat, tags).
+// A row whose id matches an admin product updates that product in place; other rows add new products.
+// Images in the file (data URLs) are stored like uploads; exports carry them as data URLs so they work elsewhere.
+// Relies on window.ShopCsv (js/csv.js), window.ShopStore, window.ShopProducts and window.ShopInventory.
+
+(function () {
+    const PRODUCTS_KEY = 'local-products';
+    const CATEGORIES_KEY = 'local-categories';
+    const NEW_CATEGORY = '__new';
+
+    // accepted header names for each field (CSV headers and JSON keys, compared lower-case)
+    const FIELDS = {
+        id: ['id'],
+        slug: ['slug'],
+        title: ['title', 'name', 'product'],
+        price: ['price'],
+        description: ['description'],
+        category: ['category', 'category name'],
+        image: ['image', 'image url'],
+        images: ['images'],
+        stock: ['stock', 'quantity', 'qty'],
+        metal: ['metal'],
+        karat: ['karat'],
+        tags: ['tags']
+    };
+
+    const CSV_COLUMNS = ['id', 'slug', 'title', 'price', 'description', 'category', 'image', 'images', 'stock', 'metal', 'karat', 'tags'];
+
+    function el(id) { return document.getElementById(id); }
+    function loadLocal(key) { return window.ShopStore.get(key); }
+    function saveLocal(key, arr) { return window.ShopStore.set(key, arr); }
+    const escapeHtml = window.ShopUtils.escapeHtml;
+
+    const fileInput = el('import-file');
+    const preview = el('importPreview');
+    const status = el('importStatus');
+    if (!window.ShopCsv || !window.ShopProducts || !fileInput || !preview) return;
+
+    let pending = null; // { rows, categoryMap, fileCategoryImages } until imported or cancelled
+
+    // --- reading ---
+    function lowerKeys(record) {
+        const out = {};
+        Object.keys(record || {}).forEach(k => { out[k.trim().toLowerCase()] = record[k]; });
+        return out;
+    }
+
+    function fileToText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result || ''));
+            reader.onerror = () => reject(reader.error || new Error('read failed'));
+            reader.readAsText(file);
+        });
+    }
+
+    // file text -> { records, categories } (categories only come with JSON exports)
+    function readFile(name, text) {
+        const trimmed = text.trim();
+        if (/\.json$/i.test(name) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            const records = Array.isArray(data) ? data : (data && Array.isArray(data.products) ? data.products : []);
+            const categories = data && Array.isArray(data.categories) ? data.categories : [];
+            return { records: records.map(lowerKeys), categories };
+        }
+        return { records: window.ShopCsv.parseObjects(text), categories: [] };
+    }
+
+    function categoryNameOf(value) {
+        if (value && typeof value === 'object') return String(value.name || '').trim();
+        return String(value || '').trim();
+    }
+
+    // "LKR 12,500" -> 12500
+    function parsePrice(value) {
+        if (typeof value === 'number') return value;
+        const cleaned = String(value || '').replace(/^\s*(LKR|Rs\.?)\s*/i, '').replace(/,/g, '').trim();
+        return cleaned === '' ? NaN : Number(cleaned);
+    }
+
+    // one record -> { line, fields, provided, errors, action, categoryName }
+    function readRow(record, line, existingIds) {
+        const provided = new Set();
+        const get = (field) => {
+            for (const key of FIELDS[field]) {
+                if (key in record) {
+                    provided.add(field);
+                    if (record[key] != null && record[key] !== '') return record[key];
+                }
+            }
+            return '';
+        };
+        const errors = [];
+        const fields = {};
+
+        const id = String(get('id')).trim();
+        fields.title = String(get('title')).trim();
+        if (!fields.title) errors.push('missing title');
+
+        fields.price = parsePrice(get('price'));
+        if (!Number.isFinite(fields.price) || fields.price < 0) errors.push('price must be a number of 0 or more');
+
+        fields.description = String(get('description')).trim();
+
+        const stock = get('stock');
+        fields.stock = null;
+        if (stock !== '') {
+            const n = Number(stock);
+            if (!Number.isInteger(n) || n < 0) errors.push('stock must be a whole number of 0 or more');
+            else fields.stock = n;
+        }
+
+        // images: a list (JSON) or "a.png|b.png"; image: the main one
+        const rawImages = get('images');
+        const images = (Array.isArray(rawImages) ? rawImages : String(rawImages).split('|'))
+            .map(src => String(src || '').trim()).filter(Boolean);
+        const image = String(get('image')).trim();
+        if (image && !images.includes(image)) images.unshift(image);
+        fields.images = images;
+        if (images.length) provided.add('images');
+
+        fields.metal = String(get('metal')).trim();
+        fields.karat = String(get('karat')).trim().toUpperCase();
+        fields.tags = get('tags');
+        if (get('slug')) fields.slug = window.ShopProducts.slugify(get('slug'));
+
+        // JSON backups carry variants; they keep their own stock
+        if (Array.isArray(record.options) && Array.isArray(record.variants)) {
+            fields.options = record.options;
+            fields.variants = record.variants;
+            provided.add('variants');
+        }
+
+        return {
+            line,
+            id,
+            fields,
+            provided,
+            errors,
+            action: id && existingIds.has(id) ? 'update' : 'new',
+            categoryName: categoryNameOf(get('category'))
+        };
+    }
+
+    function buildPending(records, fileCategories) {
+        const existingIds = new Set(loadLocal(PRODUCTS_KEY).map(p => String(p && p.id)));
+        const seenIds = new Set();
+        const rows = records.map((record, i) => {
+            // CSV line numbers count the header row
+            const row = readRow(record, i + 2, existingIds);
+            if (row.id) {
+                if (seenIds.has(row.id)) row.errors.push(`id ${row.id} appears more than once`);
+                seenIds.add(row.id);
+            }
+            return row;
+        });
+
+        // category names that don't match an existing category: create them unless mapped to one
+        const known = new Set(loadLocal(CATEGORIES_KEY).map(c => String(c.name || '').toLowerCase()));
+        const categoryMap = {};
+        rows.filter(r => !r.errors.length).forEach(r => {
+            const key = r.categoryName.toLowerCase();
+            if (r.categoryName && !known.has(key) && !(key in categoryMap)) categoryMap[key] = NEW_CATEGORY;
+        });
+
+        const images = {};
+        (fileCategories || []).forEach(c => {
+            const name = categoryNameOf(c);
+            if (name && c.image) images[name.toLowerCase()] = c.image;
+        });
+        return { rows, categoryMap, fileCategoryImages: images };
+    }
+
+    // --- preview ---
+    function renderPreview() {
+        if (!pending) { preview.innerHTML = ''; return; }
+        const { rows, categoryMap } = pending;
+        const ready = rows.filter(r => !r.errors.length);
+        const invalid = rows.length - ready.length;
+        const updates = ready.filter(r => r.action === 'update').length;
+        const categories = loadLocal(CATEGORIES_KEY);
+        const unknown = Object.keys(categoryMap);
+        const displayName = (key) => rows.find(r => r.categoryName.toLowerCase() === key).categoryName;
+        const format = (amount) => (window.ShopPricing ? window.ShopPricing.formatBase(amount) : amount);
+
+        preview.innerHTML = `
+        <p class="import-summary">
+          ${rows.length} ${rows.length === 1 ? 'row' : 'rows'}: ${ready.length} ready (${ready.length - updates} new, ${updates} ${updates === 1 ? 'update' : 'updates'})${invalid ? `, <strong class="stock-warning">${invalid} with errors will be skipped</strong>` : ''}.
+        </p>
+        ${unknown.length ? `
+        <fieldset class="import-categories">
+          <legend>New category names</legend>
+          ${unknown.map(key => `
+          <label>${escapeHtml(displayName(key))}
+            <select data-category-key="${escapeHtml(key)}">
+              <option value="${NEW_CATEGORY}"${categoryMap[key] === NEW_CATEGORY ? ' selected' : ''}>Create new category</option>
+              ${categories.map(c => `<option value="${escapeHtml(c.id)}"${String(categoryMap[key]) === String(c.id) ? ' selected' : ''}>Use &ldquo;${escapeHtml(c.name)}&rdquo;</option>`).join('')}
+            </select>
+          </label>`).join('')}
+        </fieldset>` : ''}
+        <div class="import-table-wrap">
+          <table class="import-table">
+            <thead><tr><th>Line</th><th>Title</th><th>Price</th><th>Category</th><th>Stock</th><th>Image</th><th>Status</th></tr></thead>
+            <tbody>
+              ${rows.map(r => `
+              <tr class="${r.errors.length ? 'is-invalid' : ''}">
+                <td>${r.line}</td>
+                <td>${escapeHtml(r.fields.title || '-')}</td>
+                <td>${Number.isFinite(r.fields.price) && r.fields.price >= 0 ? format(r.fields.price) : '-'}</td>
+                <td>${escapeHtml(r.categoryName || 'Uncategorized')}</td>
+                <td>${r.fields.stock != null ? r.fields.stock : ''}</td>
+                <td>${r.fields.images[0] ? `<img src="${escapeHtml(r.fields.images[0])}" alt="" loading="lazy" />` : ''}</td>
+                <td>${r.errors.length ? escapeHtml(r.errors.join('; ')) : (r.action === 'update' ? 'Update' : 'New')}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div class="form-buttons">
+          <button type="button" class="btn-review" data-import="commit"${ready.length ? '' : ' disabled'}>Import ${ready.length} ${ready.length === 1 ? 'product' : 'products'}</button>
+          <button type="button" class="btn-small" data-import="cancel">Cancel</button>
+        </div>
+      `;
+    }
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (status) status.textContent = '';
+        if (!file) { pending = null; renderPreview(); return; }
+        try {
+            const { records, categories } = readFile(file.name, await fileToText(file));
+            if (!records.length) {
+                pending = null;
+                renderPreview();
+                if (status) status.textContent = 'No products found in this file.';
+                return;
+            }
+            pending = buildPending(records, categories);
+            renderPreview();
+        } catch (err) {
+            console.warn('[admin-import] could not read file', err);
+            pending = null;
+            renderPreview();
+            if (status) status.textContent = `Could not read ${file.name}: ${err.message}`;
+        }
+    });
+
+    preview.addEventListener('change', (e) => {
+        const select = e.target.closest('[data-category-key]');
+        if (select && pending) pending.categoryMap[select.dataset.categoryKey] = select.value;
+    });
+
+    preview.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-import]')?.dataset.import;
+        if (action === 'cancel') reset();
+        if (action === 'commit') commit();
+    });
+
+    function reset() {
+        pending = null;
+        fileInput.value = '';
+        renderPreview();
+    }
+
+    // --- commit ---
+    async function commit() {
+        if (!pending) return;
+        const rows = pending.rows.filter(r => !r.errors.length);
+        if (!rows.length) return;
+
+        const { products: all } = await window.ShopProducts.loadAll();
+        const slugs = all.map(p => p.slug);
+        // read after the catalog fetch so saves made meanwhile (the product form, another tab) aren't overwritten
+        const categories = loadLocal(CATEGORIES_KEY);
+        const products = loadLocal(PRODUCTS_KEY);
+        // stored pictures before the import, for removing the ones it replaced
+        const previousImages = window.ShopStore.imageRefs(products);
+
+        // admin ids are Date.now() stamps; keep them unique within one import
+        const usedIds = new Set([...products, ...categories].map(x => String(x && x.id)));
+        let nextId = Date.now();
+        const newId = () => {
+            while (usedIds.has(String(nextId))) nextId++;
+            usedIds.add(String(nextId));
+            return nextId;
+        };
+
+        const createdCategories = [];
+        function resolveCategory(name) {
+            if (!name) return null;
+            const key = name.toLowerCase();
+            const mapped = pending.categoryMap[key];
+            const match = mapped && mapped !== NEW_CATEGORY
+                ? categories.find(c => String(c.id) === String(mapped))
+                : categories.find(c => String(c.name || '').toLowerCase() === key);
+            if (match) return { id: match.id, name: match.name };
+            const created = { id: newId(), name, image: pending.fileCategoryImages[key] || '' };
+            categories.unshift(created);
+            createdCategories.push(created);
+            return { id: created.id, name: created.name };
+        }
+
+        const added = [];
+        let updated = 0;
+        const stockUpdates = [];
+        rows.forEach(row => {
+            const f = row.fields;
+            const fields = { title: f.title, price: f.price };
+            // updates only touch the columns the file has
+            const has = (field) => row.action === 'new' || row.provided.has(field);
+            if (has('category')) fields.category = resolveCategory(row.categoryName);
+            if (has('description')) fields.description = f.description;
+            if (has('images')) { fields.images = f.images; fields.image = f.images[0] || ''; }
+            if (has('metal')) fields.metal = f.metal;
+            if (has('karat')) fields.karat = f.karat;
+            if (has('tags') && f.tags !== '') fields.tags = f.tags;
+            if (row.provided.has('variants')) { fields.options = f.options; fields.variants = f.variants; }
+
+            let record;
+            if (row.action === 'update') {
+                const index = products.findIndex(p => p && String(p.id) === row.id);
+                record = { ...products[index], ...fields, updatedAt: Date.now() };
+                products[index] = record;
+                updated++;
+            } else {
+                const slug = window.ShopProducts.uniqueSlug(f.slug || f.title, slugs);
+                slugs.push(slug);
+                record = { id: row.id || newId(), slug, ...fields, createdAt: Date.now() };
+                added.push(record);
+            }
+
+            // stock: per product, or per variant for products with variants
+            const hasVariants = Array.isArray(record.variants) && record.variants.length;
+            if (hasVariants && row.provided.has('variants')) {
+                record.variants.forEach(v => stockUpdates.push([record.id, v.options, v.stock]));
+            } else if (!hasVariants && row.provided.has('stock')) {
+                if (f.stock != null) record.stock = f.stock; else delete record.stock;
+                stockUpdates.push([record.id, null, f.stock]);
+            }
+        });
+
+        // new products go first, like products added with the form.
+        // Stock is only written once the products are saved; a failed save keeps the preview so it can be retried
+        // (categories already created are matched by name next time)
+        if (createdCategories.length) {
+            if (!(await saveLocal(CATEGORIES_KEY, await window.ShopStore.storeImages(categories)))) return importFailed();
+            window.dispatchEvent(new Event('localCategoriesUpdated'));
+        }
+        if (!(await saveLocal(PRODUCTS_KEY, await window.ShopStore.storeImages([...added, ...products])))) return importFailed();
+        previousImages.forEach(ref => window.ShopStore.removeImage(ref));
+        if (window.ShopInventory) stockUpdates.forEach(([id, options, stock]) => window.ShopInventory.set(id, options, stock));
+        window.dispatchEvent(new Event('localProductsUpdated'));
+
+        const skipped = pending.rows.length - rows.length;
+        reset();
+        if (status) {
+            status.textContent = `Imported ${added.length} new and updated ${updated} ${updated === 1 ? 'product' : 'products'}` +
+                (createdCategories.length ? `; created ${createdCategories.map(c => c.name).join(', ')}` : '') +
+                (skipped ? `; skipped ${skipped} ${skipped === 1 ? 'row' : 'rows'} with errors` : '') + '.';
+        }
+    }
+
+    function importFailed() {
+        if (status) status.textContent = 'The import could not be saved and no products were changed. Free up space, then import again.';
+    }
+
+    // --- export ---
+    // admin records with their current stock on hand
+    function productsForExport() {
+        const Inventory = window.ShopInventory;
+        return loadLocal(PRODUCTS_KEY).map(raw => {
+            const p = window.ShopProducts.normalize(raw, PRODUCTS_KEY);
+            if (!p || !Inventory) return raw;
+            if (p.variants.length) {
+                return { ...raw, variants: p.variants.map(v => ({ ...v, stock: Inventory.level(p, v) })) };
+            }
+            const stock = Inventory.level(p);
+            return stock == null ? raw : { ...raw, stock };
+        });
+    }
+
+    async function exportProductsCsv() {
+        const records = (await window.ShopStore.inlineImages(productsForExport())).map(raw => {
+            const p = window.ShopProducts.normalize(raw, PRODUCTS_KEY);
+            if (!p) return null;
+            return {
+                ...p,
+                category: p.category ? p.category.name : '',
+                images: p.images.join('|'),
+                // per-variant stock only travels in JSON
+                stock: p.variants.length || p.stock == null ? '' : p.stock,
+                tags: p.tags.join(', ')
+            };
+        }).filter(Boolean);
+        window.ShopCsv.download(`products-${today()}.csv`, window.ShopCsv.stringify(CSV_COLUMNS, records));
+    }
+
+    async function exportCategoriesCsv() {
+        const categories = await window.ShopStore.inlineImages(loadLocal(CATEGORIES_KEY));
+        window.ShopCsv.download(`categories-${today()}.csv`, window.ShopCsv.stringify(['id', 'name', 'image'], categories));
+    }
+
+    async function exportJson() {
+        const data = await window.ShopStore.inlineImages({
+            exportedAt: new Date().toISOString(),
+            products: productsForExport(),
+            categories: loadLocal(CATEGORIES_KEY)
+        });
+        window.ShopCsv.download(`shop-backup-${today()}.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    function today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    document.querySelectorAll('[data-export]').forEach(btn => btn.addEventListener('click', () => {
+        if (btn.dataset.export === 'products-csv') exportProductsCsv();
+        if (btn.dataset.export === 'categories-csv') exportCategoriesCsv();
+        if (btn.dataset.export === 'json') exportJson();
+    }));
+})();
@@ -0,0 +1,40 @@
+// Admin login form: checks the credentials (js/admin-auth.js) and opens the page the visitor was sent from.
+
+(function () {
+    const Auth = window.ShopAdminAuth;
+    const form = document.getElementById('adminLoginForm');
+    if (!Auth || !form) return;
+
+    const params = new URLSearchParams(window.location.search);
+    // only admin pages of this site; anything else opens the panel
+    const next = /^admin[\w-]*\.html$/.test(params.get('next') || '') ? params.get('next') : 'admin.html';
+    const errorEl = document.getElementById('loginError');
+    const notice = document.getElementById('loginNotice');
+
+    if (Auth.session()) {
+        window.location.replace(next);
+        return;
+    }
+    if (notice && params.has('expired')) notice.textContent = 'Your session has expired. Please log in again.';
+
+    function showError(message) {
+        if (!errorEl) return;
+        errorEl.textContent = message;
+        errorEl.hidden = !message;
+    }
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        showError('');
+        const btn = form.querySelector('[type="submit"]');
+        btn.disabled = true;
+        try {
+            await Auth.login(document.getElementById('loginEmail').value, document.getElementById('loginPassword').value);
+            window.location.href = next;
+        } catch (err) {
+            showError(err.message);
+            document.getElementById('loginPassword').value = '';
+            btn.disabled = false;
+        }
+    });
+})();
@@ -0,0 +1,207 @@
+// Admin Orders tab: list/filter orders by status, order detail with slips, history and status actions.
+// Relies on window.ShopOrders (js/orders.js) and window.ShopSlips (js/slips.js).
+
+(function () {
+    const Orders = window.ShopOrders;
+    if (!Orders) return;
+
+    function el(id) { return document.getElementById(id); }
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    function formatDate(ts) { return ts ? new Date(ts).toLocaleString() : ''; }
+    function formatMoney(n) { return window.ShopPricing.formatBase(n); }
+
+    function statusBadge(status) {
+        return `<span class="status-badge status-${escapeHtml(status)}">${escapeHtml(Orders.STATUSES[status] || status)}</span>`;
+    }
+
+    // slips are linked by id on the order; older slips only carry the orderId
+    function slipsForOrder(order) {
+        const ids = order.slipIds || [];
+        return window.ShopSlips.list().filter(s => ids.includes(s.id) || s.orderId === order.id);
+    }
+
+    let selectedOrderId = null;
+
+    // --- filter ---
+    const filterSel = el('orderStatusFilter');
+    if (filterSel) {
+        filterSel.innerHTML = '<option value="">All statuses</option>' + Object.entries(Orders.STATUSES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        filterSel.addEventListener('change', renderOrders);
+    }
+
+    // --- list ---
+    function renderOrders() {
+        const container = el('ordersContainer');
+        if (!container) return;
+        const status = filterSel ? filterSel.value : '';
+        const orders = Orders.list().filter(o => !status || o.status === status);
+
+        if (!orders.length) {
+            container.innerHTML = `<div class="no-slips">${status ? 'No orders with this status.' : 'No orders yet.'}</div>`;
+        } else {
+            let html = '<table class="slips-table orders-table">';
+            html += '<thead><tr><th>Order</th><th>Customer</th><th>Total</th><th>Status</th><th></th></tr></thead><tbody>';
+            orders.forEach(o => {
+                const itemCount = (o.items || []).reduce((n, i) => n + (Number(i.quantity) || 0), 0);
+                html += `<tr data-id="${escapeHtml(o.id)}"${o.id === selectedOrderId ? ' class="is-selected"' : ''}>
+          <td>
+            <div><strong>${escapeHtml(o.id)}</strong></div>
+            <div style="color:#666;"><small>${formatDate(o.createdAt)}</small></div>
+          </td>
+          <td>
+            <div>${escapeHtml(o.customer && o.customer.name)}</div>
+            <div style="color:#666;"><small>${escapeHtml(o.customer && o.customer.phone)}</small></div>
+          </td>
+          <td>
+            <div>${formatMoney(o.totals && o.totals.total)}</div>
+            <div style="color:#666;"><small>${itemCount} item${itemCount === 1 ? '' : 's'}</small></div>
+          </td>
+          <td>${statusBadge(o.status)}</td>
+          <td style="text-align:right;"><button type="button" class="btn-small btn-view-order">View</button></td>
+        </tr>`;
+            });
+            html += '</tbody></table>';
+            container.innerHTML = html;
+        }
+
+        if (selectedOrderId) renderOrderDetail(selectedOrderId);
+    }
+
+    // --- detail ---
+    function renderOrderDetail(id) {
+        const panel = el('orderDetail');
+        if (!panel) return;
+        const order = Orders.get(id);
+        if (!order) { closeOrderDetail(); return; }
+        selectedOrderId = id;
+
+        const c = order.customer || {};
+        const t = order.totals || {};
+        const slips = slipsForOrder(order);
+        const next = Orders.nextStatuses(order.status);
+
+        panel.innerHTML = `
+      <div class="order-detail-header">
+        <h3>${escapeHtml(order.id)} ${statusBadge(order.status)}</h3>
+        <div class="order-actions">
+          ${window.ShopInvoice && window.ShopInvoice.isInvoiceable(order) ? `<a href="invoice.html?order=${encodeURIComponent(order.id)}" target="_blank" rel="noopener" class="btn-small">Invoice${order.invoiceNumber ? ' ' + escapeHtml(order.invoiceNumber) : ''}</a>` : ''}
+          <button type="button" class="btn-small" data-action="close-order">Close</button>
+        </div>
+      </div>
+
+      <div class="order-detail-grid">
+        <div>
+          <h4>Customer</h4>
+          <div>${escapeHtml(c.name)}</div>
+          <div>${escapeHtml(c.phone)}</div>
+          <div>${escapeHtml(c.email)}</div>
+          <div style="white-space:pre-line;">${escapeHtml(c.address)}</div>
+          ${order.shipping ? `<h4>Delivery</h4><div>${escapeHtml(order.shipping.label)}</div>` : ''}
+        </div>
+        <div>
+          <h4>Items</h4>
+          <ul class="order-items">
+            ${(order.items || []).map(i => `
+              <li><span>${escapeHtml(i.name)} &times; ${Number(i.quantity) || 0}${i.variant ? `<small class="item-variant">${escapeHtml(window.ShopProducts.variantLabel(i.variant))}${i.sku ? ` &middot; SKU ${escapeHtml(i.sku)}` : ''}</small>` : ''}</span><span>${formatMoney(Orders.lineTotal(i))}</span></li>
+            `).join('')}
+          </ul>
+          ${t.discount ? `<div class="order-adjustment"><span>Discount (${escapeHtml(t.discountCode)})</span><span>&minus;${formatMoney(t.discount)}</span></div>` : ''}
+          ${t.shipping != null ? `<div class="order-adjustment"><span>Delivery</span><span>${t.shipping ? formatMoney(t.shipping) : 'Free'}</span></div>` : ''}
+          <div class="order-total"><span>Total</span><span>${formatMoney(order.totals && order.totals.total)}</span></div>
+        </div>
+      </div>
+
+      <h4>Payment slips</h4>
+      ${slips.length ? `<ul class="order-slips">${slips.map(s => `
+        <li>
+          <span>
+            ${formatDate(s.submittedAt)}
+            <span class="status-badge status-slip-${escapeHtml(s.status)}">${escapeHtml(window.ShopSlips.REVIEW_STATUSES[s.status] || s.status)}</span>
+            ${s.rejectReason ? `<div style="color:#666;"><small>${escapeHtml(s.rejectReason)}</small></div>` : ''}
+          </span>
+          <span class="order-slip-actions">
+            <button type="button" class="btn-small slip-open" data-slip-id="${escapeHtml(s.id)}">View</button>
+            <a href="${escapeHtml(window.SlipViewer.fileUrl(s))}" download="${escapeHtml(window.SlipViewer.downloadName(s))}" class="download-slip">Download</a>
+          </span>
+        </li>`).join('')}</ul>` : '<div style="color:#666;">No slip submitted.</div>'}
+
+      <h4>History</h4>
+      <ul class="order-history">
+        ${(order.history || []).slice().reverse().map(h => `
+          <li><strong>${escapeHtml(Orders.STATUSES[h.status] || h.status)}</strong> — ${formatDate(h.at)}${h.note ? `<div style="color:#666;">${escapeHtml(h.note)}</div>` : ''}</li>
+        `).join('')}
+      </ul>
+
+      ${next.length ? `
+      <h4>Update status</h4>
+      <div class="order-actions">
+        <input type="text" class="order-note" placeholder="Note (optional)" />
+        ${next.map(s => `<button type="button" class="btn-small${s === 'cancelled' ? ' btn-delete' : ''}" data-status="${s}">${escapeHtml(Orders.STATUSES[s])}</button>`).join('')}
+      </div>` : ''}
+    `;
+        panel.hidden = false;
+    }
+
+    function closeOrderDetail() {
+        selectedOrderId = null;
+        const panel = el('orderDetail');
+        if (panel) { panel.hidden = true; panel.innerHTML = ''; }
+    }
+
+    // --- events ---
+    document.addEventListener('click', (ev) => {
+        const viewBtn = ev.target.closest('.btn-view-order');
+        if (viewBtn) {
+            const row = viewBtn.closest('tr');
+            if (row) { renderOrderDetail(row.dataset.id); renderOrders(); }
+            return;
+        }
+
+        if (ev.target.closest('[data-action="close-order"]')) {
+            closeOrderDetail();
+            renderOrders();
+            return;
+        }
+
+        const statusBtn = ev.target.closest('#orderDetail [data-status]');
+        if (statusBtn && selectedOrderId) {
+            const noteEl = document.querySelector('#orderDetail .order-note');
+            try {
+                Orders.setStatus(selectedOrderId, statusBtn.dataset.status, noteEl ? noteEl.value.trim() : '');
+            } catch (err) {
+                alert(err.message);
+            }
+            return;
+        }
+
+        // order links from other tabs (e.g. the Slips table)
+        const orderLink = ev.target.closest('.order-link');
+        if (orderLink) {
+            ev.preventDefault();
+            showOrder(orderLink.dataset.orderId);
+        }
+    });
+
+    function showOrder(id) {
+        const tabLink = document.querySelector('.tab-link[data-tab="orders"]');
+        if (tabLink) tabLink.click();
+        renderOrderDetail(id);
+        renderOrders();
+    }
+
+    window.addEventListener('ordersUpdated', renderOrders);
+    window.addEventListener('slipsUpdated', renderOrders);
+    window.addEventListener('storage', (e) => { if (e.key === 'orders') renderOrders(); });
+
+    window.renderOrders = renderOrders;
+    window.showOrder = showOrder;
+
+    // orders verified before invoice numbers were given out at verification get theirs now, oldest first
+    Orders.list()
+        .filter(o => window.ShopInvoice && window.ShopInvoice.INVOICEABLE.includes(o.status) && !o.invoiceNumber)
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+        .forEach(o => Orders.assignInvoiceNumber(o.id));
+
+    renderOrders();
+})();
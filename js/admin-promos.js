@@ -0,0 +1,125 @@
+// Admin Promotions tab: create promo codes and enable/disable existing ones.
+// Relies on window.ShopPromos (js/promotions.js).
+
+(function () {
+    const Promos = window.ShopPromos;
+    const form = document.getElementById('promoForm');
+    if (!Promos || !form) return;
+
+    const STATUS_LABELS = {
+        active: 'Active',
+        disabled: 'Disabled',
+        expired: 'Expired',
+        used_up: 'Used up'
+    };
+
+    function el(id) { return document.getElementById(id); }
+    const escapeHtml = window.ShopUtils.escapeHtml;
+
+    const status = el('promoFormStatus');
+    const typeSel = el('promo-type');
+    typeSel.innerHTML = Object.entries(Promos.TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+    // the amount field is a percentage or LKR; buy X get Y has its own quantities instead
+    function syncTypeFields() {
+        const bxgy = typeSel.value === 'bxgy';
+        form.querySelector('[data-promo-field="value"]').hidden = bxgy;
+        form.querySelector('[data-promo-field="bxgy"]').hidden = !bxgy;
+        form.querySelector('label[for="promo-value"]').textContent = typeSel.value === 'percent' ? 'Percent off' : 'Amount off (LKR)';
+    }
+    typeSel.addEventListener('change', syncTypeFields);
+
+    // admin categories plus any category already used by a product
+    function renderCategoryOptions() {
+        const sel = el('promo-categories');
+        const selected = Array.from(sel.selectedOptions).map(o => o.value);
+        const names = new Set();
+        window.ShopStore.get('local-categories').forEach(c => c && c.name && names.add(c.name));
+        window.ShopStore.get('local-products').forEach(p => {
+            const name = p && p.category && (typeof p.category === 'object' ? p.category.name : p.category);
+            if (name) names.add(name);
+        });
+        sel.innerHTML = Array.from(names).sort().map(name =>
+            `<option value="${escapeHtml(name)}"${selected.includes(name) ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('');
+    }
+
+    function renderPromos() {
+        const container = el('promosList');
+        if (!container) return;
+        const promos = Promos.list();
+        if (!promos.length) {
+            container.innerHTML = '<div class="no-slips">No promo codes yet.</div>';
+            return;
+        }
+        const money = window.ShopPricing.formatBase;
+        let html = '<table class="slips-table promos-table">';
+        html += '<thead><tr><th>Code</th><th>Discount</th><th>Limits</th><th>Used</th><th>Status</th><th></th></tr></thead><tbody>';
+        promos.forEach(p => {
+            const state = Promos.statusOf(p);
+            const limits = [
+                p.minSpend ? `Min. spend ${money(p.minSpend)}` : '',
+                p.expiresAt ? `Expires ${new Date(p.expiresAt).toLocaleDateString()}` : ''
+            ].filter(Boolean);
+            html += `<tr data-code="${escapeHtml(p.code)}">
+          <td>
+            <div><strong>${escapeHtml(p.code)}</strong></div>
+            ${p.description ? `<div style="color:#666;"><small>${escapeHtml(p.description)}</small></div>` : ''}
+          </td>
+          <td>${escapeHtml(Promos.describe(p))}</td>
+          <td><small>${limits.length ? limits.map(escapeHtml).join('<br>') : '&mdash;'}</small></td>
+          <td>${p.usedCount || 0}${p.usageLimit ? ` / ${p.usageLimit}` : ''}</td>
+          <td><span class="status-badge status-promo-${state}">${STATUS_LABELS[state]}</span></td>
+          <td style="text-align:right;">
+            <button type="button" class="btn-small${p.active ? ' btn-delete' : ''}" data-promo-toggle="${p.active ? 'disable' : 'enable'}">${p.active ? 'Disable' : 'Enable'}</button>
+          </td>
+        </tr>`;
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const expires = el('promo-expires').value;
+        try {
+            const promo = Promos.create({
+                code: el('promo-code').value,
+                description: el('promo-description').value,
+                type: typeSel.value,
+                value: el('promo-value').value,
+                buyQty: el('promo-buy').value,
+                getQty: el('promo-get').value,
+                categories: Array.from(el('promo-categories').selectedOptions).map(o => o.value),
+                minSpend: el('promo-min-spend').value,
+                // a code is valid through the whole of its expiry day
+                expiresAt: expires ? new Date(expires + 'T23:59:59').getTime() : null,
+                usageLimit: el('promo-limit').value
+            });
+            form.reset();
+            syncTypeFields();
+            status.style.color = '#666';
+            status.textContent = `Created ${promo.code}.`;
+        } catch (err) {
+            status.style.color = 'crimson';
+            status.textContent = err.message;
+        }
+    });
+
+    el('promosList').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-promo-toggle]');
+        if (!btn) return;
+        const code = btn.closest('tr').dataset.code;
+        const enable = btn.dataset.promoToggle === 'enable';
+        if (!enable && !confirm(`Disable ${code}? Customers will no longer be able to use it.`)) return;
+        Promos.setActive(code, enable);
+    });
+
+    window.addEventListener('promosUpdated', renderPromos);
+    window.addEventListener('localCategoriesUpdated', renderCategoryOptions);
+    window.addEventListener('localProductsUpdated', renderCategoryOptions);
+    window.addEventListener('storage', (e) => { if (e.key === 'promo-codes') renderPromos(); });
+
+    syncTypeFields();
+    window.ShopStore.ready.then(renderCategoryOptions);
+    renderPromos();
+})();
@@ -1,33 +1,44 @@
-// Minimal registration handler — updates localStorage.adminToken and redirects to admin panel.
-// Update baseUrl to your backend later.
+// Admin registration form: creates an admin account (js/admin-auth.js) and opens the panel.
+// Without a backend the first account can be registered freely; after that only a signed-in admin can add one.
 
 (function () {
-    const baseUrl = 'http://localhost:3000/api'; // change to your backend API when ready
+    const Auth = window.ShopAdminAuth;
     const form = document.getElementById('adminRegisterForm');
-    if (!form) return;
+    if (!Auth || !form) return;
 
-    function setToken(token) { localStorage.setItem('adminToken', token); }
+    const errorEl = document.getElementById('registerError');
+    const notice = document.getElementById('registerNotice');
+    const signedIn = Auth.session();
 
-    async function safePost(url, body) {
-        const opts = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
-        const res = await fetch(url, opts);
-        if (!res.ok) throw await res.json().catch(() => new Error('Registration failed'));
-        return await res.json();
+    if (notice) {
+        if (signedIn) notice.textContent = `You are logged in as ${signedIn.email}. The new admin will log in with their own email and password.`;
+        else if (Auth.hasLocalAccounts()) notice.textContent = 'An admin account already exists. Log in first to add another admin.';
+    }
+
+    function showError(message) {
+        if (!errorEl) return;
+        errorEl.textContent = message;
+        errorEl.hidden = !message;
     }
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
-        const email = document.getElementById('regEmail').value.trim();
-        const password = document.getElementById('regPassword').value.trim();
+        showError('');
+        const email = document.getElementById('regEmail').value;
+        const password = document.getElementById('regPassword').value;
+        const confirmPassword = document.getElementById('regPasswordConfirm');
+        if (confirmPassword && confirmPassword.value !== password) {
+            showError('The passwords do not match.');
+            return;
+        }
+        const btn = form.querySelector('[type="submit"]');
+        btn.disabled = true;
         try {
-            const data = await safePost(`${baseUrl}/admin/register`, { email, password });
-            if (data && data.token) setToken(data.token);
-            else setToken('demo-admin-token');
-            window.location.href = 'admin.html'; // existing admin panel page
+            await Auth.register(email, password);
+            window.location.href = Auth.session() ? 'admin.html' : 'admin-login.html';
         } catch (err) {
-            // fallback for no backend: set demo token and continue
-            setToken('demo-admin-token');
-            window.location.href = 'admin.html';
+            showError(err.message);
+            btn.disabled = false;
         }
     });
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,55 @@
+// Admin Delivery tab: district rates, free delivery threshold, pickup and insured courier settings.
+// Relies on window.ShopShipping (js/shipping.js).
+
+(function () {
+    const Shipping = window.ShopShipping;
+    const form = document.getElementById('shippingForm');
+    if (!Shipping || !form) return;
+
+    function el(id) { return document.getElementById(id); }
+    function rateId(district) { return 'ship-rate-' + district.replace(/\s+/g, '-'); }
+
+    const status = el('shippingStatus');
+    el('shippingRates').innerHTML = Shipping.DISTRICTS.map(d => `
+        <label for="${rateId(d)}">${d}
+            <input id="${rateId(d)}" type="number" min="0" step="1" placeholder="${Shipping.DEFAULT_RATE}" />
+        </label>`).join('');
+
+    function renderSettings() {
+        const s = Shipping.getSettings();
+        el('ship-free-above').value = s.freeAbove || 0;
+        el('ship-pickup-enabled').checked = !!s.pickup.enabled;
+        el('ship-pickup-location').value = s.pickup.location || '';
+        el('ship-insured-enabled').checked = !!s.insured.enabled;
+        el('ship-insured-percent').value = s.insured.percent;
+        el('ship-insured-min').value = s.insured.minFee;
+        el('ship-insured-required').value = s.insured.requiredAbove || 0;
+        Shipping.DISTRICTS.forEach(d => { el(rateId(d)).value = s.rates[d]; });
+    }
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const rates = {};
+        Shipping.DISTRICTS.forEach(d => {
+            const value = el(rateId(d)).value.trim();
+            if (value !== '') rates[d] = Math.max(0, Number(value) || 0);
+        });
+        Shipping.saveSettings({
+            rates,
+            freeAbove: Math.max(0, Number(el('ship-free-above').value) || 0),
+            pickup: { enabled: el('ship-pickup-enabled').checked, location: el('ship-pickup-location').value.trim() },
+            insured: {
+                enabled: el('ship-insured-enabled').checked,
+                percent: Math.max(0, Number(el('ship-insured-percent').value) || 0),
+                minFee: Math.max(0, Number(el('ship-insured-min').value) || 0),
+                requiredAbove: Math.max(0, Number(el('ship-insured-required').value) || 0)
+            }
+        });
+        renderSettings();
+        status.textContent = 'Saved. Checkout uses the new rates straight away.';
+    });
+
+    window.addEventListener('shippingUpdated', renderSettings);
+
+    renderSettings();
+})();
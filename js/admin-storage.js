@@ -0,0 +1,57 @@
+// Admin storage meter: how much of the browser's storage the shop uses, uploaded images included (js/store.js).
+// Asks the browser to keep the data rather than clear it when the disk runs low, and reports saves that failed.
+// Relies on window.ShopStore.
+
+(function () {
+    const Store = window.ShopStore;
+    const meter = document.getElementById('storageMeter');
+    if (!Store || !meter) return;
+
+    const WARN_AT = 0.8; // share of the quota that flags the meter
+    const LABELS = { 'local-products': 'products', 'local-categories': 'categories', 'payment_slips': 'payment slips' };
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let n = Number(bytes) || 0;
+        let i = 0;
+        while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+        return `${n.toFixed(i && n < 10 ? 1 : 0)} ${units[i]}`;
+    }
+
+    async function render() {
+        const usage = await Store.usage();
+        const share = usage.quota ? usage.used / usage.quota : 0;
+        const percent = Math.round(Math.min(1, share) * 1000) / 10;
+        meter.classList.toggle('is-full', share >= WARN_AT);
+        meter.innerHTML = `
+        <div>
+          <strong>Storage:</strong> ${formatBytes(usage.used)} used${usage.quota ? ` of ${formatBytes(usage.quota)} (${percent}%)` : ''}
+          ${usage.backend === 'indexedDB'
+              ? `<span style="color:#777">&middot; ${usage.images} uploaded ${usage.images === 1 ? 'image' : 'images'}, ${formatBytes(usage.imageBytes)}</span>`
+              : '<span style="color:#777">&middot; this browser has no IndexedDB, so data stays in localStorage</span>'}
+        </div>
+        ${usage.quota ? `<progress max="100" value="${percent}" aria-label="Storage used">${percent}%</progress>` : ''}
+        ${share >= WARN_AT ? '<div class="form-hint">Storage is nearly full. Export a backup and remove products or images you no longer need.</div>' : ''}
+      `;
+    }
+
+    function refresh() {
+        render().catch(err => console.warn('[admin-storage] usage unavailable', err));
+    }
+
+    // nothing is dropped to make room: the last saved copy is kept and shown again (js/store.js)
+    window.addEventListener('storeFailed', (e) => {
+        const { key, error } = e.detail;
+        const full = error && error.name === 'QuotaExceededError';
+        alert(`Your last change to ${LABELS[key] || key} could not be saved${full ? ' because browser storage is full' : ''}. ` +
+            'Nothing was deleted. Free up space by removing products or images you no longer need, then try again.');
+        refresh();
+    });
+
+    ['localProductsUpdated', 'localCategoriesUpdated', 'slipsUpdated'].forEach(name => window.addEventListener(name, refresh));
+
+    Store.persist().then(granted => {
+        if (!granted) console.warn('[admin-storage] the browser may clear stored data when the disk runs low');
+    });
+    refresh();
+})();
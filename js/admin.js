@@ -1,4 +1,4 @@
-// Simple admin: products and categories management (localStorage fallback)
+// Simple admin: products and categories management (saved through js/store.js)
 
 (function () {
     const PRODUCTS_KEY = 'local-products';
@@ -6,99 +6,20 @@
 
     // --- helpers ---
     function el(id) { return document.getElementById(id); }
-    function safeParse(raw) {
-        try { return raw ? JSON.parse(raw) : []; } catch { return []; }
-    }
-    function loadLocal(key) { return safeParse(localStorage.getItem(key)); }
-    function saveLocal(key, arr) { localStorage.setItem(key, JSON.stringify(arr)); }
-
-    function fileToDataURL(file) {
-        return new Promise((resolve, reject) => {
-            if (!file) return resolve('');
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = (e) => reject(e);
-            try { reader.readAsDataURL(file); } catch (err) { reject(err); }
-        });
-    }
-
-    /* --- helper: resize/compress image file to dataURL --- */
-    function resizeImageFileToDataURL(file, maxWidth = 1000, maxHeight = 1000, quality = 0.7) {
-        return new Promise((resolve, reject) => {
-            if (!file) return resolve('');
-            const img = new Image();
-            const reader = new FileReader();
-            reader.onerror = reject;
-            reader.onload = () => {
-                img.onload = () => {
-                    // calculate new size keeping aspect ratio
-                    let w = img.width, h = img.height;
-                    const ratio = Math.min(1, maxWidth / w, maxHeight / h);
-                    w = Math.round(w * ratio);
-                    h = Math.round(h * ratio);
-                    const canvas = document.createElement('canvas');
-                    canvas.width = w;
-                    canvas.height = h;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0, w, h);
-                    try {
-                        const dataUrl = canvas.toDataURL('image/jpeg', quality);
-                        resolve(dataUrl);
-                    } catch (err) {
-                        reject(err);
-                    }
-                };
-                img.onerror = reject;
-                img.src = reader.result;
-            };
-            reader.readAsDataURL(file);
-        });
-    }
-
-    /* --- choose conversion strategy for a file: small -> full dataURL, large -> resized/compressed --- */
+    function loadLocal(key) { return window.ShopStore.get(key); }
+    // resolves to false when the change couldn't be kept (js/admin-storage.js tells the admin)
+    function saveLocal(key, arr) { return window.ShopStore.set(key, arr); }
+    // uploaded images are 'idb:' refs in the records; a list reads the pictures it shows before drawing them
+    function imageSrc(value) { return window.ShopStore.src(value); }
+    function withImages(key, render) { return () => window.ShopStore.loadImages(loadLocal(key)).then(render); }
+    // stored pictures of records that were deleted or changed; ones still in use are kept (js/store.js removeImage)
+    function dropImages(records) { window.ShopStore.imageRefs(records).forEach(ref => window.ShopStore.removeImage(ref)); }
+    const escapeHtml = window.ShopUtils.escapeHtml;
+
+    // the picture is stored as a Blob (js/store.js), scaled down first when it's large; returns the ref to keep in the product
     async function convertFileForStorage(file) {
         if (!file) return '';
-        // threshold in bytes (200 KB)
-        const THRESHOLD = 200 * 1024;
-        try {
-            if (file.size > THRESHOLD) {
-                // resize/compress
-                return await resizeImageFileToDataURL(file, 1000, 1000, 0.7);
-            } else {
-                // small file: plain dataURL
-                return await fileToDataURL(file);
-            }
-        } catch (err) {
-            console.warn('convertFileForStorage failed, falling back to raw dataURL', err);
-            try { return await fileToDataURL(file); } catch (e) { return ''; }
-        }
-    }
-
-    /* --- safe localStorage save with quota handling --- */
-    function safeSaveLocal(key, arr) {
-        try {
-            localStorage.setItem(key, JSON.stringify(arr));
-            return true;
-        } catch (err) {
-            if (err && err.name === 'QuotaExceededError') {
-                console.warn('QuotaExceededError saving', key);
-                // attempt to free up space: remove half of oldest items for products/categories
-                try {
-                    const other = key === 'local-products' ? 'local-categories' : 'local-products';
-                    const existing = safeParse(localStorage.getItem(key));
-                    if (Array.isArray(existing) && existing.length > 2) {
-                        const keep = existing.slice(0, Math.max(1, Math.floor(existing.length / 2)));
-                        localStorage.setItem(key, JSON.stringify(keep));
-                        // try again
-                        localStorage.setItem(key, JSON.stringify(arr));
-                        return true;
-                    }
-                    // if cannot free, notify user
-                } catch (e) { /* ignore */ }
-            }
-            alert('Failed to save locally: storage quota exceeded. Clear some items in Admin or use smaller images.');
-            return false;
-        }
+        return window.ShopStore.saveImage(await window.ShopStore.resizeImage(file, { maxWidth: 1000, maxHeight: 1000, quality: 0.7 }));
     }
 
     // --- tabs ---
@@ -113,29 +34,83 @@
     }));
 
     // --- renderers ---
+    // stock lines for a product in the admin list; low and sold out levels are flagged
+    function stockSummary(p) {
+        const Inventory = window.ShopInventory;
+        const describe = (units, label) => {
+            const status = Inventory.status(units);
+            if (status === 'untracked') return '';
+            const text = status === 'sold_out' ? 'sold out' : `${units} in stock`;
+            const warn = status === 'sold_out' || status === 'low';
+            const attrs = warn ? 'class="stock-warning"' : 'style="color:#777"';
+            return `<div ${attrs}><small>${label ? escapeHtml(label) + ': ' : 'Stock: '}${text}${status === 'low' ? ' (low)' : ''}</small></div>`;
+        };
+        if (!p.variants.length) return describe(Inventory.level(p), '');
+        // variants: only the ones that need attention, plus the total
+        const total = Inventory.productLevel(p);
+        const low = p.variants
+            .filter(v => v.available && ['sold_out', 'low'].includes(Inventory.status(Inventory.level(p, v))))
+            .map(v => describe(Inventory.level(p, v), window.ShopProducts.variantLabel(v.options)));
+        return (total != null ? `<div style="color:#777"><small>Stock: ${total} across variants</small></div>` : '') + low.join('');
+    }
+
+    // products (or variants) at or below the low-stock level
+    function lowStockCount(products) {
+        const Inventory = window.ShopInventory;
+        const low = (units) => ['sold_out', 'low'].includes(Inventory.status(units));
+        return products.reduce((n, p) => n + (p.variants.length
+            ? p.variants.filter(v => v.available && low(Inventory.level(p, v))).length
+            : (low(Inventory.level(p)) ? 1 : 0)), 0);
+    }
+
     function renderProductsList() {
         const container = el('productsList');
         if (!container) return;
         const arr = loadLocal(PRODUCTS_KEY);
         container.innerHTML = '';
         if (!arr.length) { container.innerHTML = '<div style="color:#666">No products.</div>'; return; }
-        arr.forEach(p => {
+        const lowCount = lowStockCount(arr.map(raw => window.ShopProducts.normalize(raw, PRODUCTS_KEY)).filter(Boolean));
+        if (lowCount) {
+            container.innerHTML = `<div class="stock-alert" role="status">${lowCount} ${lowCount === 1 ? 'item is' : 'items are'} low on stock or sold out (${window.ShopInventory.LOW_STOCK} or fewer left).</div>`;
+        }
+        arr.forEach((raw, index) => {
+            // malformed records are hidden from the shop (js/products.js); show them here so they can be removed
+            const p = window.ShopProducts.normalize(raw, PRODUCTS_KEY);
+            const problems = p ? [] : window.ShopProducts.validate(raw);
             const item = document.createElement('div');
-            item.className = 'admin-item';
-            item.innerHTML = `
-        <img src="${p.image || 'images/placeholder.png'}" alt="" />
+            item.className = 'admin-item' + (p ? '' : ' is-malformed');
+            item.innerHTML = p ? `
+        <img src="${escapeHtml(imageSrc(p.image) || 'images/placeholder.png')}" alt="" />
         <div class="meta">
           <div style="font-weight:700">${escapeHtml(p.title)}</div>
-          <div style="color:#777">LKR ${Number(p.price).toLocaleString()}</div>
+          <div style="color:#777">${window.ShopPricing.formatBase(p.price)}</div>
+          <div style="color:#999"><small>${escapeHtml(window.ShopProducts.productUrl(p))}</small></div>
+          ${p.variants.length ? `<div style="color:#999"><small>${p.variants.length} variants (${escapeHtml(p.options.map(o => o.name).join(', '))})</small></div>` : ''}
+          ${stockSummary(p)}
+        </div>
+        <div class="actions">
+          <button class="btn-small btn-edit">Edit</button>
+          <button class="btn-small btn-delete">Delete</button>
+        </div>
+      ` : `
+        <img src="images/placeholder.png" alt="" />
+        <div class="meta">
+          <div style="font-weight:700">${escapeHtml((raw && (raw.title || raw.name)) || 'Unreadable product')}</div>
+          <div style="color:crimson">Hidden from the shop: ${escapeHtml(problems.join(', '))}</div>
         </div>
         <div class="actions">
           <button class="btn-small btn-delete">Delete</button>
         </div>
       `;
-            item.querySelector('.btn-delete').addEventListener('click', () => {
-                const keep = loadLocal(PRODUCTS_KEY).filter(x => x.id !== p.id);
-                saveLocal(PRODUCTS_KEY, keep);
-                renderProductsList();
+            if (p) item.querySelector('.btn-edit').addEventListener('click', () => startProductEdit(raw));
+            item.querySelector('.btn-delete').addEventListener('click', async () => {
+                const keep = loadLocal(PRODUCTS_KEY).filter((x, i) => (p ? String(x && x.id) !== p.id : i !== index));
+                if (!(await saveLocal(PRODUCTS_KEY, keep))) return;
+                dropImages([raw]);
+                const id = p ? p.id : raw && raw.id;
+                if (id != null && window.ShopInventory) window.ShopInventory.remove(id);
+                if (p && editingProductId === p.id) resetProductForm();
+                window.dispatchEvent(new Event('localProductsUpdated'));
             });
             container.appendChild(item);
         });
@@ -151,29 +126,27 @@
             const item = document.createElement('div');
             item.className = 'admin-item';
             item.innerHTML = `
-        <img src="${c.image || 'images/placeholder.png'}" alt="" />
+        <img src="${escapeHtml(imageSrc(c.image) || 'images/placeholder.png')}" alt="" />
         <div class="meta">
           <div style="font-weight:700">${escapeHtml(c.name)}</div>
         </div>
         <div class="actions">
+          <button class="btn-small btn-edit">Edit</button>
           <button class="btn-small btn-delete">Delete</button>
         </div>
       `;
-            item.querySelector('.btn-delete').addEventListener('click', () => {
+            item.querySelector('.btn-edit').addEventListener('click', () => startCategoryEdit(c));
+            item.querySelector('.btn-delete').addEventListener('click', async () => {
                 const keep = loadLocal(CATEGORIES_KEY).filter(x => x.id !== c.id);
-                saveLocal(CATEGORIES_KEY, keep);
-                renderCategoriesList();
+                if (!(await saveLocal(CATEGORIES_KEY, keep))) return;
+                dropImages([c]);
+                if (String(editingCategoryId) === String(c.id)) resetCategoryForm();
                 window.dispatchEvent(new Event('localCategoriesUpdated'));
             });
             container.appendChild(item);
         });
     }
 
-    // small helper to avoid XSS when injecting text
-    function escapeHtml(str) {
-        return String(str || '').replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
-    }
-
     // --- product form (file -> dataURL + submit) ---
     {
         // replace existing addProductForm submit handler with this robust version
@@ -189,7 +162,6 @@
                     const descEl = el('prod-desc');
                     const catSel = el('prod-category');
                     const imageInput = el('prod-image'); // from earlier code
-                    const fileInput = el('prod-image-file'); // from earlier code
 
                     if (!titleEl || !priceEl) {
                         console.error('[admin] form elements missing (prod-title/prod-price)');
@@ -203,19 +175,15 @@
                     }
                     const price = Number(priceEl.value) || 0;
                     const description = descEl ? descEl.value.trim() : '';
+                    // empty: stock isn't tracked
+                    const stockValue = el('prod-stock') ? el('prod-stock').value.trim() : '';
+                    const stock = stockValue === '' ? null : Math.max(0, Math.floor(Number(stockValue) || 0));
 
-                    // ensure image: prefer text input, otherwise convert selected file
-                    let image = imageInput && imageInput.value.trim() ? imageInput.value.trim() : '';
-                    if ((!image || image === '') && fileInput && fileInput.files && fileInput.files[0]) {
-                        console.log('[admin] converting selected file to dataURL...');
-                        try {
-                            image = await convertFileForStorage(fileInput.files[0]);
-                            console.log('[admin] file converted, length:', image ? image.length : 0);
-                        } catch (err) {
-                            console.warn('[admin] fileToDataURL failed, continuing without image', err);
-                            image = '';
-                        }
-                    }
+                    // images in the order arranged in the preview; a URL typed but not added yet goes last
+                    const images = productImages.slice();
+                    const typedUrl = imageInput ? imageInput.value.trim() : '';
+                    if (typedUrl && !images.includes(typedUrl)) images.push(typedUrl);
+                    const image = images[0] || '';
 
                     // read selected category if available
                     let category = null;
@@ -225,21 +193,58 @@
                         if (found) category = { id: found.id, name: found.name };
                     }
 
-                    const payload = { id: Date.now(), title, price, description, image, category };
+                    // catalog filters (metal / karat facets)
+                    const metal = el('prod-metal') ? el('prod-metal').value : '';
+                    const karat = el('prod-karat') ? el('prod-karat').value : '';
+
+                    // ring size / metal / karat combinations with their own price, SKU and availability
+                    const variants = productVariants(price);
+                    if (!variants) {
+                        console.warn('[admin] too many variant combinations, product not saved');
+                        return;
+                    }
+
+                    const fields = { title, price, description, image, images, category, metal, karat, ...variants };
+                    // products with variants keep their stock per variant
+                    if (!variants.variants && stock != null) fields.stock = stock;
+
                     const arr = loadLocal(PRODUCTS_KEY);
-                    arr.unshift(payload);
-                    saveLocal(PRODUCTS_KEY, arr);
+                    let payload;
+                    let previous = null;
+                    if (editingProductId != null) {
+                        // in place: same id, slug and creation date, so links and cart lines keep working
+                        const index = arr.findIndex(x => x && String(x.id) === editingProductId);
+                        if (index === -1) {
+                            alert('This product was deleted while you were editing it.');
+                            resetProductForm();
+                            return;
+                        }
+                        previous = arr[index];
+                        payload = { ...arr[index], ...fields, updatedAt: Date.now() };
+                        if (!variants.variants) { delete payload.options; delete payload.variants; }
+                        if (fields.stock == null) delete payload.stock;
+                        arr[index] = payload;
+                    } else {
+                        // product.html?slug=... ; unique across admin products and data/products.json
+                        const { products: existing } = await window.ShopProducts.loadAll();
+                        const slug = window.ShopProducts.uniqueSlug(title, existing.map(p => p.slug));
+                        payload = { id: Date.now(), slug, ...fields, createdAt: Date.now() };
+                        arr.unshift(payload);
+                    }
+                    // a failed save leaves the form filled in so it can be tried again
+                    if (!(await saveLocal(PRODUCTS_KEY, arr))) return;
+                    // pictures taken out of the product while editing
+                    if (previous) dropImages([previous]);
+                    setStockLevels(payload);
 
-                    // notify and refresh UI
+                    // notify (the list re-renders on this)
                     window.dispatchEvent(new Event('localProductsUpdated'));
-                    renderProductsList();
 
                     // reset form + preview
-                    addProductForm.reset();
-                    if (el('prod-image-preview')) el('prod-image-preview').innerHTML = '';
+                    resetProductForm();
                     console.log('[admin] product saved locally', payload);
                 } catch (err) {
-                    console.error('[admin] add product failed', err);
+                    console.error('[admin] save product failed', err);
                 }
             });
         } else {
@@ -247,25 +252,37 @@
         }
     }
 
+    // the stock typed in the form becomes the level on hand (js/inventory.js)
+    function setStockLevels(record) {
+        if (!window.ShopInventory) return;
+        if (Array.isArray(record.variants) && record.variants.length) {
+            record.variants.forEach(v => window.ShopInventory.set(record.id, v.options, v.stock));
+        } else {
+            window.ShopInventory.set(record.id, null, record.stock);
+        }
+    }
+
     // --- category form (file -> dataURL + submit) ---
     const catFile = el('cat-image-file');
     const catImageInput = el('cat-image-url');
     const catPreview = el('cat-image-preview');
     const addCategoryForm = el('addCategoryForm');
 
+    // the chosen file is only previewed; it is stored when the form is saved
+    let catPreviewUrl = null;
+    function clearCatPreview() {
+        if (catPreviewUrl) URL.revokeObjectURL(catPreviewUrl);
+        catPreviewUrl = null;
+        if (catPreview) catPreview.innerHTML = '';
+    }
+
     if (catFile) {
-        catFile.addEventListener('change', async (e) => {
+        catFile.addEventListener('change', (e) => {
             const f = e.target.files && e.target.files[0];
-            if (!f) { if (catPreview) catPreview.innerHTML = ''; if (catImageInput) catImageInput.value = ''; return; }
-            try {
-                const data = await fileToDataURL(f);
-                if (catImageInput) catImageInput.value = data;
-                if (catPreview) catPreview.innerHTML = `<img src="${data}" alt="preview" style="max-width:160px;max-height:120px;border-radius:6px;object-fit:cover;">`;
-                console.log('cat image converted, length', data.length);
-            } catch (err) {
-                console.error('category image conversion failed', err);
-                if (catPreview) catPreview.innerHTML = '<div style="color:#c00">Preview failed</div>';
-            }
+            clearCatPreview();
+            if (!f) return;
+            catPreviewUrl = URL.createObjectURL(f);
+            if (catPreview) catPreview.innerHTML = `<img src="${escapeHtml(catPreviewUrl)}" alt="preview" style="max-width:160px;max-height:120px;border-radius:6px;object-fit:cover;">`;
         });
     }
 
@@ -273,40 +290,130 @@
         addCategoryForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             const name = el('cat-name') ? el('cat-name').value.trim() : '';
+            const file = catFile && catFile.files && catFile.files[0];
             let image = catImageInput && catImageInput.value.trim() ? catImageInput.value.trim() : '';
 
-            try {
-                if ((!image || image === '') && catFile && catFile.files && catFile.files[0]) {
-                    image = await fileToDataURL(catFile.files[0]);
+            // an uploaded file wins over a typed URL
+            if (file) {
+                try {
+                    image = await window.ShopStore.saveImage(file);
+                } catch (err) {
+                    console.error('[admin] category image could not be stored', err);
+                    alert(`${file.name} could not be stored: ${err.message || err}`);
+                    return;
                 }
-            } catch (err) {
-                console.warn('category image conversion at submit failed', err);
             }
 
-            const payload = { id: Date.now(), name, image };
             const arr = loadLocal(CATEGORIES_KEY);
-            arr.unshift(payload);
-            saveLocal(CATEGORIES_KEY, arr);
+            let previous = null;
+            if (editingCategoryId != null) {
+                const index = arr.findIndex(c => String(c.id) === String(editingCategoryId));
+                if (index === -1) {
+                    alert('This category was deleted while you were editing it.');
+                    resetCategoryForm();
+                    if (file) window.ShopStore.removeImage(image);
+                    return;
+                }
+                // same id; no new image keeps the current one. Products keep a copy of the name, so rename it there too
+                previous = arr[index];
+                arr[index] = { ...arr[index], name, image: image || arr[index].image || '' };
+            } else {
+                arr.unshift({ id: Date.now(), name, image });
+            }
+            // a failed save leaves the form filled in so it can be tried again
+            if (!(await saveLocal(CATEGORIES_KEY, arr))) {
+                if (file) window.ShopStore.removeImage(image);
+                return;
+            }
+            if (previous) {
+                dropImages([previous]);
+                await renameProductCategory(arr.find(c => String(c.id) === String(previous.id)));
+            }
 
-            addCategoryForm.reset();
-            if (catPreview) catPreview.innerHTML = '';
-            renderCategoriesList();
+            resetCategoryForm();
             window.dispatchEvent(new Event('localCategoriesUpdated'));
         });
     }
 
-    // --- logout ---
+    // --- editing a category: the form saves in place until the edit is saved or cancelled ---
+    let editingCategoryId = null;
+    const catSubmitBtn = addCategoryForm ? addCategoryForm.querySelector('[type="submit"]') : null;
+    const catCancelBtn = el('cat-cancel-edit');
+
+    function startCategoryEdit(c) {
+        if (!addCategoryForm) return;
+        addCategoryForm.reset();
+        editingCategoryId = c.id;
+        if (el('cat-name')) el('cat-name').value = c.name || '';
+        // the current image stays unless a new URL or file is given
+        if (catPreview) {
+            catPreview.innerHTML = c.image
+                ? `<img src="${escapeHtml(imageSrc(c.image))}" alt="Current image" style="max-width:160px;max-height:120px;border-radius:6px;object-fit:cover;"><div class="form-hint">Current image. Enter a URL or upload a file to replace it.</div>`
+                : '';
+        }
+        if (catSubmitBtn) catSubmitBtn.textContent = 'Save changes';
+        if (catCancelBtn) catCancelBtn.hidden = false;
+        addCategoryForm.classList.add('is-editing');
+        addCategoryForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (el('cat-name')) el('cat-name').focus();
+    }
+
+    function resetCategoryForm() {
+        editingCategoryId = null;
+        if (!addCategoryForm) return;
+        addCategoryForm.reset();
+        clearCatPreview();
+        if (catSubmitBtn) catSubmitBtn.textContent = 'Add category';
+        if (catCancelBtn) catCancelBtn.hidden = true;
+        addCategoryForm.classList.remove('is-editing');
+    }
+
+    if (catCancelBtn) catCancelBtn.addEventListener('click', resetCategoryForm);
+
+    async function renameProductCategory(category) {
+        let changed = false;
+        const arr = loadLocal(PRODUCTS_KEY).map(p => {
+            if (!p || !p.category || typeof p.category !== 'object' || String(p.category.id) !== String(category.id)) return p;
+            changed = true;
+            return { ...p, category: { id: category.id, name: category.name } };
+        });
+        if (!changed) return;
+        if (!(await saveLocal(PRODUCTS_KEY, arr))) return;
+        window.dispatchEvent(new Event('localProductsUpdated'));
+    }
+
+    // --- signed-in admin and logout (js/admin-auth.js) ---
+    const signedIn = window.ShopAdminAuth.session();
+    if (el('adminSignedIn') && signedIn) el('adminSignedIn').textContent = signedIn.email;
     const logoutBtn = el('adminLogoutBtn');
-    if (logoutBtn) logoutBtn.addEventListener('click', () => { window.location.href = 'admin-register.html'; });
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', async () => {
+            logoutBtn.disabled = true;
+            await window.ShopAdminAuth.logout();
+            window.location.href = 'admin-login.html';
+        });
+    }
 
-    // --- initial render ---
-    renderProductsList();
-    renderCategoriesList();
+    // --- initial render, once js/store.js has loaded the saved records ---
+    const showProductsList = withImages(PRODUCTS_KEY, renderProductsList);
+    const showCategoriesList = withImages(CATEGORIES_KEY, renderCategoriesList);
+    window.ShopStore.ready.then(() => {
+        showProductsList();
+        showCategoriesList();
+        populateProductCategoryOptions();
+    });
+    // orders verified or cancelled change the stock on hand
+    window.addEventListener('stockUpdated', renderProductsList);
+    // the Import tab (js/admin-import.js) saves products and categories on its own
+    window.addEventListener('localProductsUpdated', showProductsList);
+    window.addEventListener('localCategoriesUpdated', showCategoriesList);
 
     // add near top (after loadLocal / saveLocal helpers)
     function populateProductCategoryOptions() {
         const sel = el('prod-category');
         if (!sel) return;
+        // keep the choice of a product being edited
+        const selected = sel.value;
         sel.innerHTML = '<option value="">Uncategorized</option>';
         const cats = loadLocal(CATEGORIES_KEY);
         cats.forEach(c => {
@@ -315,10 +422,10 @@
             opt.textContent = c.name;
             sel.appendChild(opt);
         });
+        if (cats.some(c => String(c.id) === selected)) sel.value = selected;
     }
 
-    // call after initial render and when categories change
-    populateProductCategoryOptions();
+    // call when categories change (the initial render calls it too)
     window.addEventListener('localCategoriesUpdated', populateProductCategoryOptions);
 
     // expose helper for other scripts that load categories onto homepage
@@ -326,41 +433,354 @@
         getLocalCategories: () => loadLocal(CATEGORIES_KEY)
     };
 
-    // add product file -> dataURL + preview handler (mirror of category handler)
+    // --- product images: ordered list (URLs or compressed dataURLs); the first is the main image ---
     const prodFile = el('prod-image-file');
     const prodImageInput = el('prod-image');
     const prodPreview = el('prod-image-preview');
+    let productImages = [];
+
+    function renderProductImages() {
+        // the variant image choices follow the image list
+        renderVariantsTable();
+        if (!prodPreview) return;
+        prodPreview.innerHTML = productImages.map((src, i) => `
+        <li class="image-sorter-item" draggable="true" data-index="${i}">
+          <img src="${escapeHtml(imageSrc(src))}" alt="Image ${i + 1}" />
+          ${i === 0 ? '<span class="image-sorter-main">Main</span>' : ''}
+          <div class="image-sorter-actions">
+            <button type="button" class="btn-small" data-image-move="-1" aria-label="Move image ${i + 1} earlier"${i === 0 ? ' disabled' : ''}>&larr;</button>
+            <button type="button" class="btn-small" data-image-move="1" aria-label="Move image ${i + 1} later"${i === productImages.length - 1 ? ' disabled' : ''}>&rarr;</button>
+            <button type="button" class="btn-small btn-delete" data-image-remove aria-label="Remove image ${i + 1}">&times;</button>
+          </div>
+        </li>
+      `).join('');
+    }
+
+    function moveProductImage(from, to) {
+        if (from === to || to < 0 || to >= productImages.length) return;
+        const [moved] = productImages.splice(from, 1);
+        productImages.splice(to, 0, moved);
+        renderProductImages();
+    }
 
     if (prodFile) {
         prodFile.addEventListener('change', async (e) => {
-            const f = e.target.files && e.target.files[0];
-            if (!f) { if (prodPreview) prodPreview.innerHTML = ''; if (prodImageInput) prodImageInput.value = ''; return; }
-            try {
-                const data = await fileToDataURL(f);
-                if (prodImageInput) prodImageInput.value = data;
-                if (prodPreview) prodPreview.innerHTML = `<img src="${data}" alt="preview" style="max-width:160px;max-height:120px;border-radius:6px;object-fit:cover;">`;
-                console.log('prod image converted, length', data.length);
-            } catch (err) {
-                console.error('product image conversion failed', err);
-                if (prodPreview) prodPreview.innerHTML = '<div style="color:#c00">Preview failed</div>';
+            const files = Array.from(e.target.files || []);
+            for (const file of files) {
+                try {
+                    const data = await convertFileForStorage(file);
+                    if (data) productImages.push(data);
+                } catch (err) {
+                    console.error('[admin] product image conversion failed', file.name, err);
+                    alert(`${file.name} could not be stored: ${err.message || err}`);
+                }
             }
+            // the files are now in the list; clear the picker so the same file can be added again
+            prodFile.value = '';
+            renderProductImages();
+        });
+    }
+
+    if (el('prod-image-add') && prodImageInput) {
+        const addUrl = () => {
+            const url = prodImageInput.value.trim();
+            if (!url) return;
+            if (!productImages.includes(url)) productImages.push(url);
+            prodImageInput.value = '';
+            renderProductImages();
+        };
+        el('prod-image-add').addEventListener('click', addUrl);
+        prodImageInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { e.preventDefault(); addUrl(); }
+        });
+    }
+
+    if (prodPreview) {
+        prodPreview.addEventListener('click', (e) => {
+            const item = e.target.closest('.image-sorter-item');
+            if (!item) return;
+            const index = Number(item.dataset.index);
+            const move = e.target.closest('[data-image-move]');
+            if (move) moveProductImage(index, index + Number(move.dataset.imageMove));
+            if (e.target.closest('[data-image-remove]')) {
+                discardImages(productImages.splice(index, 1));
+                renderProductImages();
+            }
+        });
+
+        // drag and drop reordering
+        let dragFrom = null;
+        prodPreview.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.image-sorter-item');
+            if (!item) return;
+            dragFrom = Number(item.dataset.index);
+            item.classList.add('is-dragging');
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(dragFrom));
+            }
+        });
+        prodPreview.addEventListener('dragover', (e) => {
+            if (dragFrom === null) return;
+            e.preventDefault();
+            prodPreview.querySelectorAll('.is-drop-target').forEach(x => x.classList.remove('is-drop-target'));
+            const over = e.target.closest('.image-sorter-item');
+            if (over) over.classList.add('is-drop-target');
+        });
+        prodPreview.addEventListener('drop', (e) => {
+            const over = e.target.closest('.image-sorter-item');
+            if (dragFrom === null || !over) return;
+            e.preventDefault();
+            moveProductImage(dragFrom, Number(over.dataset.index));
+        });
+        prodPreview.addEventListener('dragend', () => {
+            dragFrom = null;
+            renderProductImages();
+        });
+    }
+
+    // --- variants: every combination of the option lists gets a row (SKU, price, availability, picture) ---
+    const MAX_VARIANTS = 60;
+    const variantInputs = Array.from(document.querySelectorAll('#addProductForm [data-option]'));
+    const variantsTable = el('prod-variants');
+    let variantEdits = {}; // combination key -> { sku, price, available, image } as typed in the table
+
+    function productOptions() {
+        return variantInputs
+            .map(input => ({
+                name: input.dataset.option,
+                values: Array.from(new Set(input.value.split(',').map(v => v.trim()).filter(Boolean)))
+            }))
+            .filter(o => o.values.length);
+    }
+
+    // [{ Size: '6', Karat: '18K' }, { Size: '6', Karat: '22K' }, ...]
+    function optionCombinations(options) {
+        return options.reduce((combos, option) =>
+            combos.flatMap(combo => option.values.map(value => ({ ...combo, [option.name]: value }))), [{}]);
+    }
+
+    const combinationKey = (combo) => Object.values(combo).join(' / ');
+
+    // RUBY-RING-7-18K
+    function defaultSku(combo) {
+        const title = el('prod-title') ? el('prod-title').value : '';
+        return [window.ShopProducts.slugify(title) || 'item', ...Object.values(combo)]
+            .join('-').toUpperCase().replace(/[^A-Z0-9]+/g, '-');
+    }
+
+    function renderVariantsTable() {
+        if (!variantsTable) return;
+        const options = productOptions();
+        const combos = options.length ? optionCombinations(options) : [];
+        if (!combos.length) { variantsTable.innerHTML = ''; return; }
+        if (combos.length > MAX_VARIANTS) {
+            variantsTable.innerHTML = `<div class="form-hint" style="color:crimson">${combos.length} combinations; at most ${MAX_VARIANTS} are supported.</div>`;
+            return;
+        }
+        const basePrice = el('prod-price') ? el('prod-price').value : '';
+        variantsTable.innerHTML = `
+        <table class="variant-table">
+          <thead><tr><th>Variant</th><th>SKU</th><th>Price (LKR)</th><th>Stock</th><th>Available</th><th>Image</th></tr></thead>
+          <tbody>
+            ${combos.map(combo => {
+                const key = combinationKey(combo);
+                const edit = variantEdits[key] || {};
+                return `
+            <tr data-key="${escapeHtml(key)}">
+              <td>${escapeHtml(window.ShopProducts.variantLabel(combo))}</td>
+              <td><input data-field="sku" value="${escapeHtml(edit.sku || '')}" placeholder="${escapeHtml(defaultSku(combo))}" aria-label="SKU for ${escapeHtml(key)}" /></td>
+              <td><input data-field="price" type="number" min="0" value="${escapeHtml(edit.price != null ? edit.price : '')}" placeholder="${escapeHtml(basePrice)}" aria-label="Price for ${escapeHtml(key)}" /></td>
+              <td><input data-field="stock" type="number" min="0" step="1" value="${escapeHtml(edit.stock != null ? edit.stock : '')}" placeholder="Not tracked" aria-label="Stock for ${escapeHtml(key)}" /></td>
+              <td><input data-field="available" type="checkbox"${edit.available === false ? '' : ' checked'} aria-label="${escapeHtml(key)} available" /></td>
+              <td>
+                <select data-field="image" aria-label="Image for ${escapeHtml(key)}">
+                  <option value="">Main image</option>
+                  ${productImages.map((src, i) => `<option value="${escapeHtml(src)}"${edit.image === src ? ' selected' : ''}>Image ${i + 1}</option>`).join('')}
+                </select>
+              </td>
+            </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
+    // { options, variants } for the product payload; {} without options, null when there are too many combinations
+    // (an empty SKU or price falls back to the generated SKU / product price)
+    function productVariants(basePrice) {
+        const options = productOptions();
+        if (!options.length) return {};
+        const combos = optionCombinations(options);
+        if (combos.length > MAX_VARIANTS) return null;
+        return {
+            options,
+            variants: combos.map(combo => {
+                const edit = variantEdits[combinationKey(combo)] || {};
+                const price = edit.price != null && edit.price !== '' ? Number(edit.price) : basePrice;
+                const stock = edit.stock != null && edit.stock !== '' ? Math.max(0, Math.floor(Number(edit.stock) || 0)) : null;
+                return {
+                    sku: (edit.sku || '').trim() || defaultSku(combo),
+                    options: combo,
+                    price: Number.isFinite(price) && price >= 0 ? price : basePrice,
+                    available: edit.available !== false,
+                    image: productImages.includes(edit.image) ? edit.image : '',
+                    stock
+                };
+            })
+        };
+    }
+
+    if (variantsTable) {
+        const remember = (e) => {
+            const row = e.target.closest('tr[data-key]');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            const edit = variantEdits[row.dataset.key] || (variantEdits[row.dataset.key] = {});
+            edit[field] = field === 'available' ? e.target.checked : e.target.value;
+        };
+        variantsTable.addEventListener('input', remember);
+        variantsTable.addEventListener('change', remember);
+        // edits are kept per combination, so changing the option lists doesn't lose them
+        [...variantInputs, el('prod-title'), el('prod-price')].forEach(input => {
+            if (input) input.addEventListener('input', renderVariantsTable);
+        });
+    }
+
+    // --- editing a product: the record is loaded back into the form and saved in place ---
+    let editingProductId = null; // string id while the form edits an existing product
+    const productForm = el('addProductForm');
+    const prodSubmitBtn = productForm ? productForm.querySelector('[type="submit"]') : null;
+    const prodCancelBtn = el('prod-cancel-edit');
+
+    function startProductEdit(raw) {
+        const p = window.ShopProducts.normalize(raw, PRODUCTS_KEY);
+        if (!p || !productForm) return;
+        productForm.reset();
+        editingProductId = p.id;
+        const setValue = (id, value) => { if (el(id)) el(id).value = value == null ? '' : String(value); };
+        setValue('prod-title', p.title);
+        setValue('prod-price', p.price);
+        setValue('prod-desc', p.description);
+        setValue('prod-category', p.category ? p.category.id : '');
+        setValue('prod-metal', p.metal);
+        setValue('prod-karat', p.karat);
+
+        // stock as it is on hand now (orders may have moved it since it was typed in)
+        const Inventory = window.ShopInventory;
+        setValue('prod-stock', p.variants.length || !Inventory ? '' : Inventory.level(p));
+
+        // the current images stay unless removed or reordered here
+        discardImages(productImages);
+        productImages = p.images.slice();
+
+        variantEdits = {};
+        variantInputs.forEach(input => {
+            const option = p.options.find(o => o.name === input.dataset.option);
+            input.value = option ? option.values.join(', ') : '';
+        });
+        // keyed like the rows of the variants table (values in the form's option order)
+        const options = productOptions();
+        p.variants.forEach(v => {
+            const stock = Inventory ? Inventory.level(p, v) : v.stock;
+            variantEdits[combinationKey(options.reduce((combo, o) => ({ ...combo, [o.name]: v.options[o.name] }), {}))] = {
+                sku: v.sku,
+                price: String(v.price),
+                stock: stock == null ? '' : String(stock),
+                available: v.available,
+                image: v.image
+            };
         });
+        renderProductImages();
+
+        if (prodSubmitBtn) prodSubmitBtn.textContent = 'Save changes';
+        if (prodCancelBtn) prodCancelBtn.hidden = false;
+        productForm.classList.add('is-editing');
+        productForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (el('prod-title')) el('prod-title').focus();
+    }
+
+    function resetProductForm() {
+        editingProductId = null;
+        if (productForm) {
+            productForm.reset();
+            productForm.classList.remove('is-editing');
+        }
+        discardImages(productImages);
+        productImages = [];
+        variantEdits = {};
+        renderProductImages();
+        if (prodSubmitBtn) prodSubmitBtn.textContent = 'Add product';
+        if (prodCancelBtn) prodCancelBtn.hidden = true;
     }
 
-    // Payment slips management (localStorage fallback)
+    if (prodCancelBtn) prodCancelBtn.addEventListener('click', resetProductForm);
+
+    // pictures uploaded into the form but never saved; ones a saved product uses are kept
+    function discardImages(refs) {
+        refs.filter(window.ShopStore.isImageRef).forEach(ref => window.ShopStore.removeImage(ref));
+    }
+
+    // Payment slips management (js/slips.js: review workflow + order status updates)
     const SLIPS_KEY = 'payment_slips';
+    const Slips = window.ShopSlips;
+
+    const REJECT_REASONS = ['Amount does not match', 'Slip is unreadable', 'Payment not received', 'Paid to the wrong account'];
 
     function getSlips() {
-        try {
-            return JSON.parse(localStorage.getItem(SLIPS_KEY) || '[]');
-        } catch (e) {
-            console.warn('failed to parse slips', e);
-            return [];
-        }
+        return Slips.list();
+    }
+
+    // who is making review decisions (the signed-in admin, js/admin-auth.js)
+    function currentAdmin() {
+        const current = window.ShopAdminAuth.session();
+        return (current && current.email) || 'admin';
+    }
+
+    // checkout stores the amount as a number (LKR); older/sample slips may hold a display string
+    function formatAmount(amount) {
+        if (typeof amount === 'number') return window.ShopPricing.formatBase(amount);
+        return amount || '-';
     }
 
-    function saveSlips(slips) {
-        localStorage.setItem(SLIPS_KEY, JSON.stringify(slips));
+    function expectedAmount(slip) {
+        const order = slip.orderId && window.ShopOrders.get(slip.orderId);
+        return order ? order.totals.total : slip.amount;
+    }
+
+    function renderSlipReview(slip) {
+        const badge = `<span class="status-badge status-slip-${slip.status}">${escapeHtml(Slips.REVIEW_STATUSES[slip.status] || slip.status)}</span>`;
+        const history = slip.history.length ? `
+            <ul class="slip-history">
+              ${slip.history.slice().reverse().map(h => `
+                <li><strong>${escapeHtml(h.action)}</strong> by ${escapeHtml(h.by)} — ${new Date(h.at).toLocaleString()}${h.note ? `<div>${escapeHtml(h.note)}</div>` : ''}</li>
+              `).join('')}
+            </ul>` : '';
+
+        if (slip.status !== 'pending') {
+            const outcome = slip.status === 'approved'
+                ? (slip.amountPaid != null ? `<div><small>Paid ${escapeHtml(formatAmount(Number(slip.amountPaid)))}${slip.amountMatches === false ? ' — <span class="slip-mismatch">does not match order total</span>' : ''}</small></div>` : '')
+                : `<div><small>Reason: ${escapeHtml(slip.rejectReason)}</small></div>`;
+            return `${badge}${outcome}${slip.note && slip.status === 'approved' ? `<div><small>Note: ${escapeHtml(slip.note)}</small></div>` : ''}${history}`;
+        }
+
+        return `${badge}
+            <div class="slip-review">
+              <label>Amount on slip (LKR)
+                <input type="number" class="slip-amount" min="0" step="0.01" placeholder="${escapeHtml(String(expectedAmount(slip) || ''))}" />
+              </label>
+              <label>Note
+                <input type="text" class="slip-note" placeholder="Optional" />
+              </label>
+              <label>Reject reason
+                <input type="text" class="slip-reason" list="slipRejectReasons" placeholder="Required to reject" />
+              </label>
+              <div class="slip-review-actions">
+                <button type="button" class="btn-small btn-approve-slip">Approve</button>
+                <button type="button" class="btn-small btn-delete btn-reject-slip">Reject</button>
+              </div>
+            </div>
+            ${history}`;
     }
 
     // render slips table into #slipsContainer
@@ -375,57 +795,66 @@
         }
 
         let html = '<table class="slips-table" aria-describedby="slips-heading">';
-        html += '<thead><tr><th>Slip</th><th>Details</th><th>Verified</th><th>Download</th></tr></thead><tbody>';
+        html += '<thead><tr><th>Slip</th><th>Details</th><th>Review</th><th>Download</th></tr></thead><tbody>';
         slips.forEach(slip => {
-            const verifiedAttr = slip.verified ? 'checked' : '';
             const safeDate = slip.submittedAt ? new Date(slip.submittedAt).toLocaleString() : '';
             html += `<tr data-id="${slip.id}">
-          <td><img src="${slip.slipUrl}" alt="payment slip" class="slip-thumb" /></td>
+          <td>${window.SlipViewer.thumbnail(slip)}</td>
           <td>
             <div><strong>Name:</strong> ${escapeHtml(slip.name || '-')}</div>
-            <div><strong>Order:</strong> ${escapeHtml(slip.orderId || '-')}</div>
-            <div><strong>Amount:</strong> ${escapeHtml(slip.amount || '-')}</div>
+            <div><strong>Order:</strong> ${slip.orderId ? `<a href="#" class="order-link" data-order-id="${escapeHtml(slip.orderId)}">${escapeHtml(slip.orderId)}</a>` : '-'}</div>
+            <div><strong>Order total:</strong> ${escapeHtml(formatAmount(expectedAmount(slip)))}</div>
             <div><strong>Phone:</strong> ${escapeHtml(slip.phone || '-')}</div>
             <div><strong>Email:</strong> ${escapeHtml(slip.email || '-')}</div>
             <div style="margin-top:6px;color:#666;"><small>Submitted: ${safeDate}</small></div>
           </td>
+          <td>${renderSlipReview(slip)}</td>
           <td style="text-align:center;">
-            <input type="checkbox" class="verify-toggle" ${verifiedAttr} aria-label="Toggle verify" />
-          </td>
-          <td style="text-align:center;">
-            <a href="${slip.slipUrl}" download="slip-${slip.id || ''}" class="download-slip">Download</a>
+            <a href="${escapeHtml(window.SlipViewer.fileUrl(slip))}" download="${escapeHtml(window.SlipViewer.downloadName(slip))}" class="download-slip">Download</a>
           </td>
         </tr>`;
         });
         html += '</tbody></table>';
+        html += `<datalist id="slipRejectReasons">${REJECT_REASONS.map(r => `<option value="${escapeHtml(r)}"></option>`).join('')}</datalist>`;
         container.innerHTML = html;
+        window.SlipViewer.renderPdfThumbnails(container, slips);
     }
 
-    // small HTML escape to avoid injection in this simple admin UI
-    function escapeHtml(str) {
-        if (!str && str !== 0) return '';
-        return String(str)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;');
-    }
+    // delegated listener for the slip viewer, approve / reject and downloads
+    document.addEventListener('click', async (ev) => {
+        const openBtn = ev.target.closest('.slip-open');
+        if (openBtn) {
+            window.SlipViewer.open(Slips.get(openBtn.dataset.slipId));
+            return;
+        }
 
-    // delegated listener for verify toggles and downloads
-    document.addEventListener('click', (ev) => {
-        const toggle = ev.target.closest('.verify-toggle');
-        if (toggle) {
-            const row = toggle.closest('tr');
+        const approveBtn = ev.target.closest('.btn-approve-slip');
+        const rejectBtn = ev.target.closest('.btn-reject-slip');
+        if (approveBtn || rejectBtn) {
+            const row = (approveBtn || rejectBtn).closest('tr');
             if (!row) return;
-            const id = row.dataset.id;
-            const slips = getSlips();
-            const idx = slips.findIndex(s => String(s.id) === String(id));
-            if (idx === -1) return;
-            slips[idx].verified = !!toggle.checked;
-            saveSlips(slips);
-            // optional: visual feedback
-            row.style.opacity = slips[idx].verified ? '0.9' : '1';
+            const slip = Slips.get(row.dataset.id);
+            if (!slip) return;
+            const note = row.querySelector('.slip-note').value.trim();
+
+            try {
+                if (approveBtn) {
+                    const raw = row.querySelector('.slip-amount').value.trim();
+                    if (!raw) { alert('Enter the amount shown on the slip before approving.'); return; }
+                    const amountPaid = Number(raw);
+                    if (!Slips.amountMatches(slip, amountPaid) &&
+                        !confirm(`The slip shows ${formatAmount(amountPaid)} but the order total is ${formatAmount(expectedAmount(slip))}. Approve anyway?`)) {
+                        return;
+                    }
+                    await Slips.approve(slip.id, { by: currentAdmin(), amountPaid, note });
+                } else {
+                    const reason = row.querySelector('.slip-reason').value.trim();
+                    if (!reason) { alert('Please give a reason for rejecting this slip.'); return; }
+                    await Slips.reject(slip.id, { by: currentAdmin(), reason, note });
+                }
+            } catch (err) {
+                alert(err.message);
+            }
             return;
         }
 
@@ -437,13 +866,18 @@
         }
     });
 
+    const showPaymentSlips = withImages(SLIPS_KEY, renderPaymentSlips);
+
+    // js/store.js fires this for slips saved in other tabs too
+    window.addEventListener('slipsUpdated', showPaymentSlips);
+
     // expose render function to window for tab switch script to call
-    window.renderPaymentSlips = renderPaymentSlips;
+    window.renderPaymentSlips = showPaymentSlips;
 
     // ensure slips rendered on admin load if slips tab present
     document.addEventListener('DOMContentLoaded', () => {
         if (document.getElementById('slipsContainer')) {
-            renderPaymentSlips();
+            window.ShopStore.ready.then(showPaymentSlips);
         }
     });
 
@@ -462,7 +896,7 @@
         verified: false,
         submittedAt: Date.now()
       }];
-      saveSlips(sample);
+      localStorage.setItem(SLIPS_KEY, JSON.stringify(sample));
     })();
     */
 })();
@@ -0,0 +1,206 @@
+// Cart model shared by every page (localStorage 'cart').
+// Lines are keyed by product id + variant so two products with the same name never merge.
+// Exposed as window.ShopCart; fires `cartUpdated` on window whenever the cart changes, in this tab or another.
+
+(function () {
+    const CART_KEY = 'cart';
+
+    function safeParse(raw) {
+        try { return raw ? JSON.parse(raw) : []; } catch { return []; }
+    }
+
+    // variants are plain option maps ({ size: '7', metal: '22K' }); keys are sorted so order doesn't matter
+    function variantKey(variant) {
+        if (!variant || typeof variant !== 'object') return variant ? String(variant) : '';
+        return Object.keys(variant).sort().map(k => `${k}=${variant[k]}`).join('|');
+    }
+
+    function lineKey(productId, variant) {
+        return `${productId}::${variantKey(variant)}`;
+    }
+
+    // older carts were keyed by product name only; keep those lines but give them a key
+    function normalizeLine(line) {
+        if (!line || typeof line !== 'object') return null;
+        const productId = line.productId != null ? String(line.productId) : null;
+        const quantity = Math.max(1, Math.floor(Number(line.quantity) || 1));
+        return {
+            key: line.key || (productId ? lineKey(productId, line.variant) : `legacy::${line.name || ''}`),
+            productId,
+            variant: line.variant || null,
+            name: line.name || '',
+            price: Number(line.price) || 0,
+            image: line.image || '',
+            category: line.category || '',
+            sku: line.sku || '',
+            stock: stockOf(line.stock),
+            quantity,
+            unavailable: !!line.unavailable
+        };
+    }
+
+    // units on hand when the line was last checked (js/inventory.js); null when the product isn't tracked
+    function stockOf(value) {
+        if (value == null || value === '') return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? Math.max(0, Math.floor(n)) : null;
+    }
+
+    function load() {
+        return safeParse(localStorage.getItem(CART_KEY)).map(normalizeLine).filter(Boolean);
+    }
+
+    function save(lines) {
+        localStorage.setItem(CART_KEY, JSON.stringify(lines));
+        window.dispatchEvent(new Event('cartUpdated'));
+        return lines;
+    }
+
+    // whether `quantity` more of a product fits in the stock on hand, counting what is already in the cart
+    // returns { ok, error, available } (available: units on hand, null when not tracked)
+    function check(product, quantity = 1, variant = null) {
+        const available = stockOf(product && product.stock);
+        if (available == null) return { ok: true, error: '', available };
+        const line = load().find(l => l.key === lineKey(product.id, variant));
+        const inCart = line ? line.quantity : 0;
+        if (inCart + quantity <= available) return { ok: true, error: '', available };
+        return { ok: false, error: available > 0 ? `Only ${available} left` : 'Sold out', available };
+    }
+
+    // product: { id, name, price, image, category, sku, stock }; the price is snapshotted when the line is created
+    // variant: the chosen options ({ Size: '7', Karat: '18K' }), kept on the line and in the order
+    // throws when the stock on hand can't cover the quantity (see check())
+    function add(product, quantity = 1, variant = null) {
+        if (!product || product.id == null) throw new Error('Cannot add a product without an id to the cart');
+        const stock = check(product, quantity, variant);
+        if (!stock.ok) throw new Error(stock.error);
+        const lines = load();
+        const key = lineKey(product.id, variant);
+        const existing = lines.find(l => l.key === key);
+        if (existing) {
+            existing.quantity += quantity;
+            existing.stock = stock.available;
+        } else {
+            lines.push({
+                key,
+                productId: String(product.id),
+                variant: variant || null,
+                name: product.name || '',
+                price: Number(product.price) || 0,
+                image: product.image || '',
+                category: categoryName(product.category),
+                sku: product.sku || '',
+                stock: stock.available,
+                quantity,
+                unavailable: false
+            });
+        }
+        return save(lines);
+    }
+
+    // capped at the stock on hand
+    function setQuantity(key, quantity) {
+        const lines = load();
+        const line = lines.find(l => l.key === key);
+        if (!line) return lines;
+        const qty = Math.floor(Number(quantity) || 0);
+        if (qty <= 0) return remove(key);
+        line.quantity = line.stock != null ? Math.min(qty, Math.max(1, line.stock)) : qty;
+        return save(lines);
+    }
+
+    function remove(key) {
+        return save(load().filter(l => l.key !== key));
+    }
+
+    function clear() {
+        localStorage.removeItem(CART_KEY);
+        window.dispatchEvent(new Event('cartUpdated'));
+    }
+
+    // local products store { id, name }, the mock catalog a plain string
+    function categoryName(category) {
+        if (!category) return '';
+        return typeof category === 'object' ? category.name || '' : String(category);
+    }
+
+    // lines whose product has left the catalog are kept (so the customer sees what happened)
+    // but flagged unavailable and left out of totals and checkout
+    function availableItems() {
+        return load().filter(l => !l.unavailable);
+    }
+
+    // units that will go through checkout (the header badge), so unavailable lines aren't counted
+    function count() {
+        return availableItems().reduce((n, l) => n + l.quantity, 0);
+    }
+
+    function subtotal() {
+        return availableItems().reduce((sum, l) => sum + l.price * l.quantity, 0);
+    }
+
+    // a line's variant must still be one of the product's available combinations
+    function variantAvailable(product, variant) {
+        if (!variant || !Array.isArray(product.variants) || !product.variants.length) return true;
+        return product.variants.some(v => v.available &&
+            Object.keys(v.options).every(name => String(v.options[name]) === String(variant[name])));
+    }
+
+    // checks cart lines against the current catalog: flags missing products (and variants) and sold out lines,
+    // trims quantities to the stock on hand, upgrades legacy name-keyed lines when a product with that title exists
+    // and fills in a missing image or category
+    function reconcile(products) {
+        if (!Array.isArray(products) || !products.length) return load();
+        const byId = new Map(products.map(p => [String(p.id), p]));
+        const byTitle = new Map(products.map(p => [String(p.title || p.name || '').toLowerCase(), p]));
+        let changed = false;
+
+        const lines = load().map(line => {
+            let product = line.productId ? byId.get(line.productId) : byTitle.get(line.name.toLowerCase());
+            if (product && !line.productId) {
+                line.productId = String(product.id);
+                line.key = lineKey(line.productId, line.variant);
+                changed = true;
+            }
+            if (product && window.ShopInventory) {
+                const variant = line.variant && window.ShopProducts ? window.ShopProducts.findVariant(product, line.variant) : null;
+                const stock = window.ShopInventory.level(product, variant);
+                if (stock !== line.stock) { line.stock = stock; changed = true; }
+                if (stock && line.quantity > stock) { line.quantity = stock; changed = true; }
+            }
+            const unavailable = !product || !variantAvailable(product, line.variant) || line.stock === 0;
+            if (unavailable !== line.unavailable) { line.unavailable = unavailable; changed = true; }
+            if (product && !line.image && product.image) { line.image = product.image; changed = true; }
+            if (product && !line.category && categoryName(product.category)) { line.category = categoryName(product.category); changed = true; }
+            return line;
+        });
+
+        // upgrading legacy lines can produce duplicate keys; fold them together
+        const merged = [];
+        lines.forEach(line => {
+            const existing = merged.find(l => l.key === line.key);
+            if (existing) { existing.quantity += line.quantity; changed = true; } else merged.push(line);
+        });
+
+        return changed ? save(merged) : merged;
+    }
+
+    // other tabs write the same key; re-announce their changes so every open drawer stays in step
+    window.addEventListener('storage', (e) => {
+        if (e.key === CART_KEY || e.key === null) window.dispatchEvent(new Event('cartUpdated'));
+    });
+
+    window.ShopCart = {
+        lineKey,
+        items: load,
+        availableItems,
+        check,
+        add,
+        setQuantity,
+        remove,
+        clear,
+        count,
+        subtotal,
+        reconcile
+    };
+})();
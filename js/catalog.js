@@ -1,4 +1,17 @@
 // Catalog Page JavaScript with Backend Integration
+const PAGINATION_MODES = ['pages', 'load-more', 'infinite'];
+
+const SORT_OPTIONS = {
+    '': 'Featured',
+    'price-asc': 'Price: low to high',
+    'price-desc': 'Price: high to low',
+    newest: 'Newest',
+    rating: 'Top rated'
+};
+
+// query-string keys for the catalog state, e.g. ?category=Rings&metal=Gold&min=5000&sort=price-asc&page=2
+const STATE_PARAMS = ['q', 'category', 'min', 'max', 'metal', 'karat', 'inStock', 'sort', 'page'];
+
 class CatalogManager {
     constructor() {
         this.products = [];
@@ -6,8 +19,20 @@ class CatalogManager {
         this.currentPage = 1;
         this.itemsPerPage = 12;
         this.totalPages = 0;
-        this.selectedCategory = null;
-        this.searchTerm = '';
+        this.totalItems = 0;
+        // 'pages' (numbered controls), 'load-more' or 'infinite'; set with data-pagination on .catalog-page
+        this.paginationMode = 'pages';
+        this.serverPaging = false; // true when the backend answers with page metadata
+        this.loadingMore = false;
+        this.pageObserver = null;
+        this.filters = CatalogManager.emptyFilters();
+        this.sort = '';
+        this.searchQuery = '';
+        this.searchResults = null; // Map(product -> { score, terms }) from ShopSearch for the current query
+        this.searchTerms = new Map(); // product -> matched words, for highlighting
+        this.searchDebounce = null;
+        this.requestId = 0;
+        this.source = null; // 'api', 'shared' (local-products + data/products.json) or 'mock'
 
         // API Configuration - Update these URLs to match your backend
         this.apiConfig = {
@@ -15,7 +40,8 @@ class CatalogManager {
             endpoints: {
                 products: '/products',
                 categories: '/categories',
-                productsByCategory: '/products/category'
+                productsByCategory: '/products/category',
+                search: '/products/search'
             }
         };
 
@@ -23,27 +49,81 @@ class CatalogManager {
     }
 
     init() {
+        const mode = document.querySelector('.catalog-page')?.dataset.pagination;
+        this.paginationMode = PAGINATION_MODES.includes(mode) ? mode : 'pages';
+        this.readStateFromUrl();
         this.getSelectedCategory();
         this.bindEvents();
         this.loadProducts();
     }
 
     getSelectedCategory() {
-        // Get category from localStorage (set by homepage category clicks)
-        this.selectedCategory = localStorage.getItem('selectedCategory');
-        if (this.selectedCategory) {
-            // Clear the stored category after using it
-            localStorage.removeItem('selectedCategory');
+        // Older homepage links stored a one-shot category in localStorage; move it into the URL
+        const stored = localStorage.getItem('selectedCategory');
+        if (!stored) return;
+        localStorage.removeItem('selectedCategory');
+        if (!this.filters.categories.length) {
+            this.filters.categories = [stored];
+            this.syncUrl(true);
         }
     }
 
+    static emptyFilters() {
+        return { categories: [], minPrice: null, maxPrice: null, metals: [], karats: [], inStock: false };
+    }
+
+    // --- catalog state <-> query string ---
+    readStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        // facets accept repeated keys or comma lists: ?metal=Gold&metal=Silver or ?metal=Gold,Silver
+        const list = (key) => params.getAll(key).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+        const price = (key) => {
+            const n = parseFloat(params.get(key));
+            return Number.isFinite(n) && n >= 0 ? n : null;
+        };
+        this.filters = {
+            categories: list('category'),
+            minPrice: price('min'),
+            maxPrice: price('max'),
+            metals: list('metal'),
+            karats: list('karat').map(k => k.toUpperCase()),
+            inStock: params.get('inStock') === '1'
+        };
+        const sort = params.get('sort') || '';
+        this.sort = SORT_OPTIONS[sort] ? sort : '';
+        this.searchQuery = (params.get('q') || '').trim();
+        this.currentPage = this.readPageFromUrl();
+    }
+
+    hasActiveFilters() {
+        const f = this.filters;
+        return !!(f.categories.length || f.metals.length || f.karats.length || f.inStock || f.minPrice != null || f.maxPrice != null);
+    }
+
+    // filter or sort changed: back to page 1, record it in the URL and refresh
+    applyFilters() {
+        this.currentPage = 1;
+        this.syncUrl(false);
+        if (this.source === 'api') this.loadProducts();
+        else this.filterProducts();
+    }
+
     bindEvents() {
         // Search functionality
         const searchInput = document.querySelector('.nav-search-bar');
         if (searchInput) {
+            if (this.searchQuery) searchInput.value = this.searchQuery;
+            // wait for a pause in typing; the URL keeps the query (?q=) without adding history entries
             searchInput.addEventListener('input', (e) => {
-                this.searchTerm = e.target.value.toLowerCase();
-                this.filterProducts();
+                clearTimeout(this.searchDebounce);
+                this.searchDebounce = setTimeout(() => {
+                    const query = e.target.value.trim();
+                    if (query === this.searchQuery) return;
+                    this.searchQuery = query;
+                    this.resetPage();
+                    if (this.source === 'api') this.loadProducts();
+                    else this.filterProducts();
+                }, 250);
             });
         }
 
@@ -51,10 +131,79 @@ class CatalogManager {
         const categoryFilter = document.getElementById('categoryFilter');
         if (categoryFilter) {
             categoryFilter.addEventListener('change', (e) => {
-                this.selectedCategory = e.target.value;
-                this.filterProducts();
+                this.filters.categories = e.target.value ? [e.target.value] : [];
+                this.applyFilters();
             });
         }
+
+        // Filter sidebar (rendered by renderFilters)
+        const filtersEl = document.getElementById('catalogFilters');
+        if (filtersEl) {
+            filtersEl.addEventListener('change', (e) => {
+                const input = e.target;
+                const facet = input.dataset.facet;
+                if (!facet) return;
+                if (facet === 'price') {
+                    const value = (id) => {
+                        const n = parseFloat(document.getElementById(id).value);
+                        return Number.isFinite(n) && n >= 0 ? n : null;
+                    };
+                    this.filters.minPrice = value('filterMinPrice');
+                    this.filters.maxPrice = value('filterMaxPrice');
+                } else if (facet === 'inStock') {
+                    this.filters.inStock = input.checked;
+                } else {
+                    const key = { category: 'categories', metal: 'metals', karat: 'karats' }[facet];
+                    const values = this.filters[key].filter(v => v.toLowerCase() !== input.value.toLowerCase());
+                    this.filters[key] = input.checked ? [...values, input.value] : values;
+                }
+                this.applyFilters();
+            });
+            filtersEl.addEventListener('click', (e) => {
+                if (!e.target.closest('[data-action="clear-filters"]')) return;
+                this.filters = CatalogManager.emptyFilters();
+                this.applyFilters();
+            });
+        }
+
+        const sortSelect = document.getElementById('catalogSort');
+        if (sortSelect) {
+            sortSelect.innerHTML = Object.entries(SORT_OPTIONS)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+            sortSelect.value = this.sort;
+            sortSelect.addEventListener('change', (e) => {
+                this.sort = e.target.value;
+                this.applyFilters();
+            });
+        }
+
+        // Pagination links and the load-more button
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.catalog-pagination [data-page]');
+            if (!link) return;
+            e.preventDefault();
+            this.goToPage(Number(link.dataset.page));
+        });
+
+        // Back/forward between catalog pages and filter changes
+        window.addEventListener('popstate', () => {
+            const before = this.pageHref(this.currentPage);
+            this.readStateFromUrl();
+            if (this.pageHref(this.currentPage) === before) return;
+            if (searchInput) searchInput.value = this.searchQuery;
+            if (sortSelect) sortSelect.value = this.sort;
+            if (this.source === 'api') this.loadProducts();
+            else this.filterProducts();
+        });
+
+        // Re-render prices when the visitor switches currency
+        window.addEventListener('currencyChanged', () => this.renderProducts());
+
+        // Stock badges and the in-stock filter follow the stock on hand
+        window.addEventListener('stockUpdated', () => {
+            if (this.source === 'api') this.renderProducts();
+            else this.filterProducts();
+        });
     }
 
     // API Helper Methods
@@ -74,46 +223,263 @@ class CatalogManager {
 
             return await response.json();
         } catch (error) {
-            console.error('API Request failed:', error);
-            // Fallback to mock data for development
-            return this.getMockData(url);
+            console.warn('[catalog] API request failed, using local data', error);
+            return null;
         }
     }
 
-    async loadProducts() {
+    // append: add the next server page below the current ones (load-more / infinite scroll)
+    async loadProducts({ append = false } = {}) {
+        // a slower earlier request (e.g. a previous search) must not overwrite a newer one
+        const request = ++this.requestId;
         try {
-            this.showLoading();
-
-            let url = this.apiConfig.endpoints.products;
-            if (this.selectedCategory) {
-                url = `${this.apiConfig.endpoints.productsByCategory}/${this.selectedCategory}`;
+            if (!append) this.showLoading();
+
+            const data = await this.apiRequest(this.productsUrl(append));
+            if (request !== this.requestId) return;
+            if (data) {
+                // Handles both { products: [...] } and a bare array
+                const products = window.ShopProducts.normalizeList(data, 'api').products;
+                const meta = CatalogManager.pageMeta(data, this.itemsPerPage);
+                this.serverPaging = !!meta;
+                this.products = append ? [...this.products, ...products] : products;
+                if (meta) {
+                    this.totalItems = meta.total;
+                    this.totalPages = meta.totalPages;
+                }
+                this.source = 'api';
+            } else {
+                // No backend: the shop's own data, then mock data for development
+                const { products } = await window.ShopProducts.loadAll();
+                await window.ShopStore.loadImages(products);
+                if (request !== this.requestId) return;
+                if (!products.length) throw new Error('no local products');
+                this.products = products;
+                this.source = 'shared';
+                this.serverPaging = false;
             }
-
-            const data = await this.apiRequest(url);
-            this.products = data.products || data; // Handle different response formats
             this.filterProducts();
         } catch (error) {
             console.error('Failed to load products:', error);
             this.loadMockProducts();
+        } finally {
+            this.loadingMore = false;
         }
     }
 
-    filterProducts() {
-        this.filteredProducts = this.products.filter(product => {
-            const matchesSearch = !this.searchTerm ||
-                product.name.toLowerCase().includes(this.searchTerm) ||
-                product.description.toLowerCase().includes(this.searchTerm);
+    // /products?page=&limit= plus the active filters (backends without paging or filtering ignore the
+    // params; the filters are applied again locally); load-more and infinite scroll reopen at ?page=N
+    // with every item up to that page. Searches go to /products/search?q=
+    productsUrl(append) {
+        let url = this.apiConfig.endpoints.products;
+        const categories = this.filters.categories;
+        const byCategory = categories.length === 1 && !this.searchQuery;
+        if (this.searchQuery) {
+            url = this.apiConfig.endpoints.search;
+        } else if (byCategory) {
+            url = `${this.apiConfig.endpoints.productsByCategory}/${encodeURIComponent(categories[0])}`;
+        }
+        const cumulative = this.paginationMode !== 'pages' && !append;
+        const params = this.stateParams({ withCategory: !byCategory });
+        params.set('page', cumulative ? 1 : this.currentPage);
+        params.set('limit', cumulative ? this.currentPage * this.itemsPerPage : this.itemsPerPage);
+        return `${url}?${params}`;
+    }
+
+    // { total, totalPages } when the response carries page metadata, otherwise null
+    static pageMeta(data, itemsPerPage) {
+        if (!data || Array.isArray(data)) return null;
+        const total = Number(data.total ?? data.totalItems);
+        const totalPages = Number(data.totalPages);
+        if (!Number.isFinite(total) && !Number.isFinite(totalPages)) return null;
+        return {
+            total: Number.isFinite(total) ? total : totalPages * itemsPerPage,
+            totalPages: Number.isFinite(totalPages) ? totalPages : Math.max(1, Math.ceil(total / itemsPerPage))
+        };
+    }
+
+    // --- page state (?page=N) ---
+    readPageFromUrl() {
+        const page = parseInt(new URLSearchParams(window.location.search).get('page'), 10);
+        return page > 0 ? page : 1;
+    }
+
+    // search, filters and sort as query params (page excluded)
+    stateParams({ withCategory = true } = {}) {
+        const f = this.filters;
+        const params = new URLSearchParams();
+        if (this.searchQuery) params.set('q', this.searchQuery);
+        if (withCategory && f.categories.length) params.set('category', f.categories.join(','));
+        if (f.minPrice != null) params.set('min', f.minPrice);
+        if (f.maxPrice != null) params.set('max', f.maxPrice);
+        if (f.metals.length) params.set('metal', f.metals.join(','));
+        if (f.karats.length) params.set('karat', f.karats.join(','));
+        if (f.inStock) params.set('inStock', '1');
+        if (this.sort) params.set('sort', this.sort);
+        return params;
+    }
+
+    // the catalog URL for `page` with the current state; unrelated params are kept
+    pageHref(page) {
+        const url = new URL(window.location.href);
+        STATE_PARAMS.forEach(key => url.searchParams.delete(key));
+        this.stateParams().forEach((value, key) => url.searchParams.append(key, value));
+        if (page > 1) url.searchParams.set('page', page);
+        return url.pathname + url.search;
+    }
+
+    // numbered pages get a history entry each; load-more just keeps the URL current
+    syncUrl(replace) {
+        const href = this.pageHref(this.currentPage);
+        if (href === window.location.pathname + window.location.search) return;
+        history[replace ? 'replaceState' : 'pushState']({ page: this.currentPage }, '', href);
+    }
+
+    resetPage() {
+        this.currentPage = 1;
+        this.syncUrl(true);
+    }
+
+    goToPage(page) {
+        if (!(page >= 1) || page === this.currentPage || (this.totalPages && page > this.totalPages)) return;
+        const append = this.paginationMode !== 'pages';
+        this.currentPage = page;
+        this.syncUrl(append);
+        if (this.serverPaging) {
+            this.loadingMore = append;
+            this.loadProducts({ append });
+        } else {
+            this.renderProducts();
+        }
+        if (!append) window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    // --- filtering and sorting ---
+    // products are canonical (js/products.js): title, description, category { id, name }, metal, karat, stock
+    // skip: a facet to ignore, so its own counts show what picking another value would give
+    matches(product, skip = '') {
+        const f = this.filters;
+        const anyOf = (values, value) => !values.length || (!!value && values.some(v => v.toLowerCase() === value.toLowerCase()));
+
+        if (this.searchResults && !this.searchResults.has(product)) return false;
+
+        if (skip !== 'category' && f.categories.length && !(product.category &&
+            (anyOf(f.categories, product.category.name) || anyOf(f.categories, product.category.id)))) return false;
+
+        if (skip !== 'metal' && !anyOf(f.metals, product.metal)) return false;
+        if (skip !== 'karat' && !anyOf(f.karats, product.karat)) return false;
+        if (skip !== 'inStock' && f.inStock && !CatalogManager.inStock(product)) return false;
+        if (skip !== 'price') {
+            if (f.minPrice != null && product.price < f.minPrice) return false;
+            if (f.maxPrice != null && product.price > f.maxPrice) return false;
+        }
+        return true;
+    }
+
+    // units on hand (js/inventory.js: admin levels, per variant), null when not tracked
+    static stockOf(product) {
+        return window.ShopInventory ? window.ShopInventory.productLevel(product) : product.stock;
+    }
+
+    // products without stock tracking are treated as available
+    static inStock(product) {
+        const stock = CatalogManager.stockOf(product);
+        return stock == null || stock > 0;
+    }
+
+    // "Sold out" / "Only 2 left" on the card image
+    static stockBadge(product) {
+        if (!window.ShopInventory) return '';
+        const stock = CatalogManager.stockOf(product);
+        const text = window.ShopInventory.badge(stock);
+        return text ? `<span class="stock-badge${stock === 0 ? ' is-sold-out' : ''}">${text}</span>` : '';
+    }
 
-            const matchesCategory = !this.selectedCategory ||
-                product.category === this.selectedCategory;
+    // the product's own rating, else the average of the reviews left on the product page
+    static ratingOf(product) {
+        if (product.rating != null) return product.rating;
+        try {
+            const reviews = JSON.parse(localStorage.getItem(`reviews:${product.id}`)) || [];
+            const ratings = reviews.map(r => Number(r.rating)).filter(Number.isFinite);
+            return ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : 0;
+        } catch {
+            return 0;
+        }
+    }
+
+    sortProducts(list) {
+        const sorted = [...list];
+        // "Featured" while searching means most relevant first
+        if (!this.sort && this.searchResults) {
+            sorted.sort((a, b) => this.searchResults.get(b).score - this.searchResults.get(a).score);
+        }
+        if (this.sort === 'price-asc') sorted.sort((a, b) => a.price - b.price);
+        if (this.sort === 'price-desc') sorted.sort((a, b) => b.price - a.price);
+        if (this.sort === 'newest') sorted.sort((a, b) => b.createdAt - a.createdAt);
+        if (this.sort === 'rating') {
+            const ratings = new Map(sorted.map(p => [p, CatalogManager.ratingOf(p)]));
+            sorted.sort((a, b) => ratings.get(b) - ratings.get(a));
+        }
+        return sorted;
+    }
 
-            return matchesSearch && matchesCategory;
+    // [{ value, label, count }] for one facet, counting products that match every other filter
+    facetValues(facet, valueOf) {
+        const counts = new Map();
+        this.products.forEach(product => {
+            const value = valueOf(product);
+            if (!value) return;
+            const key = value.toLowerCase();
+            const entry = counts.get(key) || { value, label: value, count: 0 };
+            if (this.matches(product, facet)) entry.count++;
+            counts.set(key, entry);
+        });
+        // keep values from the URL that no product has, so they can still be unticked
+        const selected = { category: 'categories', metal: 'metals', karat: 'karats' }[facet];
+        this.filters[selected].forEach(value => {
+            if (!counts.has(value.toLowerCase())) counts.set(value.toLowerCase(), { value, label: value, count: 0 });
         });
+        return Array.from(counts.values()).sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    // the query's matches and their scores; results from /products/search were ranked by the server,
+    // so they are only used for highlighting
+    runSearch() {
+        this.searchResults = null;
+        this.searchTerms = new Map();
+        if (!this.searchQuery) return;
+        const results = window.ShopSearch.search(this.products, this.searchQuery);
+        results.forEach(r => this.searchTerms.set(r.product, r.terms));
+        if (this.source !== 'api') this.searchResults = new Map(results.map(r => [r.product, r]));
+    }
+
+    filterProducts() {
+        this.runSearch();
+        this.filteredProducts = this.sortProducts(this.products.filter(product => this.matches(product)));
+
+        if (!this.serverPaging) {
+            this.totalItems = this.filteredProducts.length;
+            this.totalPages = Math.max(1, Math.ceil(this.totalItems / this.itemsPerPage));
+            // e.g. ?page=9 from an old link after products were removed
+            if (this.currentPage > this.totalPages) {
+                this.currentPage = this.totalPages;
+                this.syncUrl(true);
+            }
+        }
 
         this.renderProducts();
     }
 
+    // the server already sent just the products to show; locally we slice the filtered list
+    visibleProducts() {
+        if (this.serverPaging) return this.filteredProducts;
+        const end = this.currentPage * this.itemsPerPage;
+        const start = this.paginationMode === 'pages' ? end - this.itemsPerPage : 0;
+        return this.filteredProducts.slice(start, end);
+    }
+
     renderProducts() {
+        const escapeHtml = window.ShopUtils.escapeHtml;
         const productGrid = document.querySelector('.product-grid');
         if (!productGrid) return;
 
@@ -124,22 +490,153 @@ class CatalogManager {
                     <p>Try adjusting your search or browse all categories</p>
                 </div>
             `;
+            this.renderPagination();
+            this.renderFilters();
             return;
         }
 
-        productGrid.innerHTML = this.filteredProducts.map(product => `
+        productGrid.innerHTML = this.visibleProducts().map(product => `
             <div class="product-card">
-                <a href="product.html?id=${product.id}" class="product-link" aria-label="View product">
+                <a href="${escapeHtml(window.ShopProducts.productUrl(product))}" class="product-link" aria-label="View ${escapeHtml(product.title)}">
                     <div class="image-wrap">
-                        <img src="${product.image || 'images/placeholder1.jpg'}" alt="${product.name}" />
+                        <img src="${escapeHtml(window.ShopStore.src(product.image) || 'images/placeholder1.jpg')}" alt="${escapeHtml(product.title)}" />
+                        ${CatalogManager.stockBadge(product)}
                         <div class="overlay" aria-hidden="true">
-                            <span class="overlay-name">${product.name}</span>
-                            <span class="overlay-price">$${product.price.toFixed(2)}</span>
+                            <span class="overlay-name">${window.ShopSearch.highlight(product.title, this.searchTerms.get(product))}</span>
+                            <span class="overlay-price">${window.ShopPricing.format(product.price)}</span>
                         </div>
                     </div>
                 </a>
             </div>
         `).join('');
+
+        this.renderPagination();
+        this.renderFilters();
+    }
+
+    renderFilters() {
+        const escapeHtml = window.ShopUtils.escapeHtml;
+        const resultCount = document.getElementById('catalogResultCount');
+        if (resultCount) {
+            resultCount.textContent = `${this.totalItems} ${this.totalItems === 1 ? 'product' : 'products'}`;
+        }
+        const container = document.getElementById('catalogFilters');
+        if (!container) return;
+
+        // re-rendering replaces the inputs; put focus back where it was
+        const focused = document.activeElement && container.contains(document.activeElement)
+            ? document.activeElement.id : '';
+
+        const f = this.filters;
+        const checkbox = (facet, option, selected) => {
+            const id = `filter-${facet}-${window.ShopProducts.slugify(option.value)}`;
+            const checked = selected.some(v => v.toLowerCase() === option.value.toLowerCase());
+            return `
+                <label class="filter-option${option.count || checked ? '' : ' is-empty'}" for="${id}">
+                    <input type="checkbox" id="${id}" data-facet="${facet}" value="${escapeHtml(option.value)}"${checked ? ' checked' : ''}>
+                    <span class="filter-label">${escapeHtml(option.label)}</span>
+                    <span class="filter-count">${option.count}</span>
+                </label>`;
+        };
+        const group = (facet, title, options, selected) => options.length ? `
+            <fieldset class="filter-group">
+                <legend>${title}</legend>
+                ${options.map(option => checkbox(facet, option, selected)).join('')}
+            </fieldset>` : '';
+
+        // category facets show the display name but filter on whatever the URL used
+        const categories = this.facetValues('category', p => p.category && p.category.name);
+        const inStockCount = this.products.filter(p => CatalogManager.inStock(p) && this.matches(p, 'inStock')).length;
+
+        container.innerHTML = `
+            <div class="filters-header">
+                <h2>Filters</h2>
+                ${this.hasActiveFilters() ? '<button type="button" class="btn-clear-filters" data-action="clear-filters">Clear all</button>' : ''}
+            </div>
+            ${group('category', 'Category', categories, f.categories)}
+            <fieldset class="filter-group">
+                <legend>Price (LKR)</legend>
+                <div class="filter-price">
+                    <input type="number" id="filterMinPrice" data-facet="price" min="0" step="100" placeholder="Min" aria-label="Minimum price" value="${f.minPrice ?? ''}">
+                    <span aria-hidden="true">&ndash;</span>
+                    <input type="number" id="filterMaxPrice" data-facet="price" min="0" step="100" placeholder="Max" aria-label="Maximum price" value="${f.maxPrice ?? ''}">
+                </div>
+            </fieldset>
+            ${group('metal', 'Metal', this.facetValues('metal', p => p.metal), f.metals)}
+            ${group('karat', 'Karat', this.facetValues('karat', p => p.karat), f.karats)}
+            <fieldset class="filter-group">
+                <legend>Availability</legend>
+                <label class="filter-option" for="filter-in-stock">
+                    <input type="checkbox" id="filter-in-stock" data-facet="inStock"${f.inStock ? ' checked' : ''}>
+                    <span class="filter-label">In stock only</span>
+                    <span class="filter-count">${inStockCount}</span>
+                </label>
+            </fieldset>
+        `;
+
+        if (focused) document.getElementById(focused)?.focus();
+    }
+
+    renderPagination() {
+        const productGrid = document.querySelector('.product-grid');
+        if (!productGrid) return;
+        let nav = document.querySelector('.catalog-pagination');
+        if (!nav) {
+            nav = document.createElement('nav');
+            nav.className = 'catalog-pagination';
+            nav.setAttribute('aria-label', 'Catalog pages');
+            productGrid.after(nav);
+        }
+        if (this.pageObserver) { this.pageObserver.disconnect(); this.pageObserver = null; }
+
+        nav.hidden = this.totalPages <= 1;
+        if (nav.hidden) { nav.innerHTML = ''; return; }
+
+        if (this.paginationMode === 'pages') {
+            nav.innerHTML = this.pageLinks();
+            return;
+        }
+
+        const shown = this.serverPaging ? this.products.length : Math.min(this.currentPage * this.itemsPerPage, this.totalItems);
+        const more = this.currentPage < this.totalPages;
+        nav.innerHTML = `
+            <p class="catalog-count">Showing ${shown} of ${this.totalItems}</p>
+            ${more ? `<a href="${this.pageHref(this.currentPage + 1)}" class="btn-load-more" data-page="${this.currentPage + 1}">Load more</a>` : ''}
+        `;
+
+        // infinite scroll: load the next page when the button comes into view (the button stays as a fallback)
+        const button = nav.querySelector('.btn-load-more');
+        if (this.paginationMode === 'infinite' && button && 'IntersectionObserver' in window) {
+            this.pageObserver = new IntersectionObserver((entries) => {
+                if (entries.some(e => e.isIntersecting) && !this.loadingMore) this.goToPage(this.currentPage + 1);
+            }, { rootMargin: '200px' });
+            this.pageObserver.observe(button);
+        }
+    }
+
+    // Prev 1 … 4 5 6 … 12 Next
+    pageLinks() {
+        const current = this.currentPage;
+        const total = this.totalPages;
+        const link = (page, label, attrs = '') => `<a href="${this.pageHref(page)}" data-page="${page}" ${attrs}>${label}</a>`;
+        let html = current > 1
+            ? link(current - 1, 'Prev', 'rel="prev" class="page-step"')
+            : '<span class="page-step is-disabled" aria-disabled="true">Prev</span>';
+
+        let last = 0;
+        for (let page = 1; page <= total; page++) {
+            if (page !== 1 && page !== total && Math.abs(page - current) > 1) continue;
+            if (page - last > 1) html += '<span class="page-gap" aria-hidden="true">&hellip;</span>';
+            html += page === current
+                ? `<span class="page-number is-current" aria-current="page">${page}</span>`
+                : link(page, page, `class="page-number" aria-label="Page ${page}"`);
+            last = page;
+        }
+
+        html += current < total
+            ? link(current + 1, 'Next', 'rel="next" class="page-step"')
+            : '<span class="page-step is-disabled" aria-disabled="true">Next</span>';
+        return html;
     }
 
     showLoading() {
@@ -215,7 +712,8 @@ class CatalogManager {
 
     loadMockProducts() {
         const mockData = this.getMockData('/products');
-        this.products = mockData.products;
+        this.products = window.ShopProducts.normalizeList(mockData, 'mock').products;
+        this.source = 'mock';
         this.filterProducts();
     }
 }
@@ -230,34 +728,25 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // --- Robust shared products loader: merges local-products and listens for updates ---
 (async function loadSharedProducts() {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+
     async function loadAndRender() {
         console.log('[catalog] loadAndRender start');
-        let products = [];
-        try {
-            const res = await fetch('data/products.json');
-            if (res.ok) {
-                products = await res.json();
-                console.log('[catalog] loaded data/products.json, count=', products.length);
-            } else {
-                console.warn('[catalog] data/products.json not found, status=', res.status);
-            }
-        } catch (err) {
-            console.warn('[catalog] failed to fetch data/products.json', err);
-        }
-
-        // merge local admin products (local-products) on top
-        const localRaw = localStorage.getItem('local-products');
-        let local = [];
-        try { local = localRaw ? JSON.parse(localRaw) : []; } catch (e) { local = []; console.warn('[catalog] failed to parse local-products', e); }
-        console.log('[catalog] local-products count=', local.length);
-
-        const merged = [...local, ...products];
+        // local admin products (local-products) merged on top of data/products.json, already normalized
+        const { products: merged } = await window.ShopProducts.loadAll();
+        await window.ShopStore.loadImages(merged);
         console.log('[catalog] merged products count=', merged.length);
 
-        // If CatalogManager is running on the page, give it the merged products so it can filter/render correctly
+        // If CatalogManager is running on the page, give it the merged products so it can filter/render correctly.
+        // It loads this same data itself when there is no backend, so only refresh it once it shows local data
+        // (the backend's products are the source of truth)
         if (window.catalogManager && typeof window.catalogManager.filterProducts === 'function') {
+            if (!['shared', 'mock'].includes(window.catalogManager.source)) return;
+            if (!merged.length) return;
             try {
                 window.catalogManager.products = merged;
+                window.catalogManager.source = 'shared';
+                window.catalogManager.serverPaging = false;
                 window.catalogManager.filterProducts();
                 return;
             } catch (e) {
@@ -276,13 +765,13 @@ document.addEventListener('DOMContentLoaded', () => {
         merged.forEach(p => {
             const card = document.createElement('article');
             card.className = 'product-card';
-            const catLabel = p.category && p.category.name ? `<div class="product-category">${p.category.name}</div>` : '';
+            const catLabel = p.category ? `<div class="product-category">${escapeHtml(p.category.name)}</div>` : '';
             card.innerHTML = `
-        <a href="product.html?id=${encodeURIComponent(p.id)}" class="product-link">
-          <img src="${p.image || 'images/placeholder.png'}" alt="${p.title}" class="product-thumb" />
-          <h3 class="product-title">${p.title}</h3>
+        <a href="${escapeHtml(window.ShopProducts.productUrl(p))}" class="product-link">
+          <img src="${escapeHtml(window.ShopStore.src(p.image) || 'images/placeholder.png')}" alt="${escapeHtml(p.title)}" class="product-thumb" />
+          <h3 class="product-title">${escapeHtml(p.title)}</h3>
           ${catLabel}
-          <div class="product-price">LKR ${Number(p.price).toLocaleString()}</div>
+          <div class="product-price">${window.ShopPricing.format(p.price)}</div>
         </a>
       `;
             container.appendChild(card);
@@ -292,18 +781,15 @@ document.addEventListener('DOMContentLoaded', () => {
     // initial
     await loadAndRender();
 
-    // reload when admin signals update in the same tab
+    // reload when admin saves products (js/store.js fires this in other tabs too)
     window.addEventListener('localProductsUpdated', () => {
         console.log('[catalog] received localProductsUpdated event');
         loadAndRender();
     });
 
-    // reload when localStorage changes from another tab (cross-tab)
-    window.addEventListener('storage', (e) => {
-        if (e.key === 'local-products') {
-            console.log('[catalog] storage event: local-products changed');
-            loadAndRender();
-        }
+    // prices are formatted in the visitor's currency
+    window.addEventListener('currencyChanged', () => {
+        if (!window.catalogManager) loadAndRender();
     });
 })();
 
@@ -0,0 +1,244 @@
+// Checkout: validates the order form, creates the order (js/orders.js) with any promo code (js/promotions.js)
+// and delivery fee (js/shipping.js), stores the payment slip
+// (js/slips.js) for the admin Slips tab and posts the order to the backend when one is configured (window.API_BASE_URL).
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    const baseUrl = window.API_BASE_URL || '';
+
+    const form = document.querySelector('.checkout-form');
+    if (!form) return;
+
+    // --- helpers ---
+    function el(id) { return document.getElementById(id); }
+
+    // --- delivery ---
+    const Shipping = window.ShopShipping;
+    const districtSel = el('district');
+    const methodsEl = el('shippingMethods');
+    let selectedMethod = '';
+
+    if (districtSel) {
+        districtSel.innerHTML = '<option value="">Choose your district</option>' +
+            Shipping.DISTRICTS.map(d => `<option value="${d}">${d}</option>`).join('');
+    }
+
+    function deliveryQuote(goodsTotal) {
+        return Shipping.quote({ district: districtSel ? districtSel.value : '', method: selectedMethod, subtotal: goodsTotal });
+    }
+
+    // one radio per available method, priced for the chosen district
+    function renderShippingMethods() {
+        if (!methodsEl) return;
+        const goodsTotal = window.ShopPromos.summarize(window.ShopCart.availableItems()).total;
+        const methods = Shipping.availableMethods(goodsTotal);
+        if (!methods.includes(selectedMethod)) selectedMethod = methods[0] || '';
+        const settings = Shipping.getSettings();
+        const Pricing = window.ShopPricing;
+
+        methodsEl.querySelectorAll('.shipping-option').forEach(n => n.remove());
+        methodsEl.insertAdjacentHTML('beforeend', methods.map(method => {
+            const quote = Shipping.quote({ district: districtSel ? districtSel.value : '', method, subtotal: goodsTotal });
+            let price = 'Choose your district';
+            if (quote.ok) price = quote.fee ? Pricing.format(quote.fee) : 'Free';
+            const hint = method === 'pickup' ? settings.pickup.location : (quote.ok && quote.free ? 'Free delivery on this order' : '');
+            return `
+                <label class="shipping-option">
+                    <input type="radio" name="shipping-method" value="${method}"${method === selectedMethod ? ' checked' : ''}>
+                    <span class="shipping-option-name">${escapeHtml(Shipping.METHODS[method])}${hint ? `<small>${escapeHtml(hint)}</small>` : ''}</span>
+                    <span class="shipping-option-price">${escapeHtml(price)}</span>
+                </label>`;
+        }).join(''));
+
+        // pickup orders don't need a delivery address
+        const pickup = selectedMethod === 'pickup';
+        form.querySelectorAll('[data-delivery-only]').forEach(n => { n.hidden = pickup; });
+    }
+
+    methodsEl?.addEventListener('change', (e) => {
+        if (e.target.name !== 'shipping-method') return;
+        selectedMethod = e.target.value;
+        refresh();
+    });
+    districtSel?.addEventListener('change', refresh);
+
+    // --- order summary ---
+    function renderSummary() {
+        const summary = el('checkoutSummary');
+        if (!summary) return;
+        const cart = window.ShopCart.availableItems();
+        if (!cart.length) {
+            summary.innerHTML = '<p class="checkout-empty">Your cart is empty. <a href="catalog.html">Browse the catalog</a></p>';
+            return;
+        }
+        const totals = window.ShopPromos.summarize(cart);
+        const delivery = deliveryQuote(totals.total);
+        const total = totals.total + delivery.fee;
+        const Pricing = window.ShopPricing;
+        summary.innerHTML = `
+            <ul class="checkout-items">
+                ${cart.map(item => `
+                    <li>
+                        <span>${escapeHtml(item.name)} &times; ${Number(item.quantity) || 0}${item.variant ? `<small class="item-variant">${escapeHtml(window.ShopProducts.variantLabel(item.variant))}</small>` : ''}</span>
+                        <span>${Pricing.format(window.ShopOrders.lineTotal(item))}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="checkout-subtotal">
+                <span>Subtotal</span>
+                <span>${Pricing.format(totals.subtotal)}</span>
+            </div>
+            ${totals.discount ? `
+            <div class="checkout-discount">
+                <span>Discount (${escapeHtml(totals.discountCode)})</span>
+                <span>&minus;${Pricing.format(totals.discount)}</span>
+            </div>` : ''}
+            <div class="checkout-shipping">
+                <span>${delivery.ok ? escapeHtml(delivery.label) : 'Delivery'}</span>
+                <span>${delivery.ok ? (delivery.fee ? Pricing.format(delivery.fee) : 'Free') : 'Choose your district'}</span>
+            </div>
+            <div class="checkout-total">
+                <span>Total</span>
+                <span>${Pricing.format(total)}</span>
+            </div>
+            ${Pricing.getCurrency() !== Pricing.BASE_CURRENCY ? `<p class="checkout-note">Please transfer ${Pricing.formatBase(total)}. Converted prices are approximate.</p>` : ''}
+        `;
+    }
+
+    // --- validation ---
+    const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const PHONE_RE = /^\+?[0-9][0-9\s-]{8,14}$/;
+
+    function readForm() {
+        return {
+            district: districtSel ? districtSel.value : '',
+            name: el('name').value.trim(),
+            phone: el('phone').value.trim(),
+            address: el('address').value.trim(),
+            email: el('email').value.trim(),
+            slipFile: el('payment-slip').files && el('payment-slip').files[0]
+        };
+    }
+
+    // returns a list of { field, message }; empty when the form is valid
+    function validate(data, cart, delivery) {
+        const errors = [];
+        if (!cart.length) errors.push({ field: null, message: 'Your cart is empty.' });
+        cart.filter(line => line.stock != null && line.quantity > line.stock).forEach(line => {
+            errors.push({ field: null, message: line.stock ? `Only ${line.stock} of ${escapeHtml(line.name)} left.` : `${escapeHtml(line.name)} is sold out.` });
+        });
+        if (!data.name) errors.push({ field: 'name', message: 'Please enter your full name.' });
+        if (!PHONE_RE.test(data.phone)) errors.push({ field: 'phone', message: 'Please enter a valid phone number.' });
+        if (delivery.method !== 'pickup' && !data.address) errors.push({ field: 'address', message: 'Please enter your delivery address.' });
+        if (!delivery.ok) errors.push({ field: delivery.method && delivery.method !== 'pickup' ? 'district' : null, message: delivery.error });
+        if (!EMAIL_RE.test(data.email)) errors.push({ field: 'email', message: 'Please enter a valid email address.' });
+
+        const slipError = window.ShopSlips.validateFile(data.slipFile);
+        if (slipError) errors.push({ field: 'payment-slip', message: slipError });
+        return errors;
+    }
+
+    const errorEl = el('checkout-error');
+
+    function showErrors(errors) {
+        form.querySelectorAll('[aria-invalid]').forEach(f => f.removeAttribute('aria-invalid'));
+        if (!errorEl) return;
+        if (!errors.length) {
+            errorEl.style.display = 'none';
+            errorEl.textContent = '';
+            return;
+        }
+        errors.forEach(e => { if (e.field && el(e.field)) el(e.field).setAttribute('aria-invalid', 'true'); });
+        errorEl.innerHTML = errors.map(e => `<div>${e.message}</div>`).join('');
+        errorEl.style.display = 'block';
+        const first = errors.find(e => e.field);
+        if (first) el(first.field).focus();
+    }
+
+    // --- backend (optional) ---
+    async function postOrderToServer(order, file) {
+        if (!baseUrl) return;
+        const body = new FormData();
+        body.append('order', JSON.stringify({
+            orderId: order.id,
+            customer: order.customer,
+            items: order.items,
+            totals: order.totals,
+            shipping: order.shipping
+        }));
+        body.append('slip', file);
+        try {
+            const res = await fetch(baseUrl.replace(/\/$/, '') + '/orders', { method: 'POST', body });
+            if (!res.ok) console.warn('[checkout] order POST failed, status=', res.status);
+        } catch (err) {
+            console.warn('[checkout] order POST failed, kept locally', err);
+        }
+    }
+
+    // --- submit ---
+    function refresh() {
+        renderShippingMethods();
+        renderSummary();
+    }
+
+    refresh();
+    // stock may have moved since the items were added; reconcile trims the cart (and fires cartUpdated)
+    function checkStock() {
+        if (!window.ShopInventory) return;
+        window.ShopProducts.loadAll()
+            .then(({ products, catalogLoaded }) => { if (catalogLoaded) window.ShopCart.reconcile(products); })
+            .catch(err => console.warn('[checkout] stock check failed', err));
+    }
+    checkStock();
+    window.addEventListener('stockUpdated', checkStock);
+    window.addEventListener('currencyChanged', refresh);
+    window.addEventListener('cartUpdated', refresh);
+    window.addEventListener('shippingUpdated', refresh);
+    const submitBtn = form.querySelector('[type="submit"]');
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const cart = window.ShopCart.availableItems();
+        const data = readForm();
+        // a code that no longer qualifies is simply not applied; the summary already says why
+        const totals = window.ShopPromos.summarize(cart);
+        const discount = totals.discount ? { code: totals.discountCode, amount: totals.discount } : null;
+        const delivery = deliveryQuote(totals.total);
+
+        const errors = validate(data, cart, delivery);
+        showErrors(errors);
+        if (errors.length) return;
+
+        if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Submitting...'; }
+
+        let order = null;
+        try {
+            order = window.ShopOrders.create({
+                customer: { name: data.name, phone: data.phone, email: data.email, address: data.address, district: delivery.district },
+                items: cart.map(({ unavailable, ...line }) => line),
+                discount,
+                shipping: delivery
+            });
+            await window.ShopSlips.submit(order.id, data.slipFile);
+            order = window.ShopOrders.get(order.id);
+
+            await postOrderToServer(order, data.slipFile);
+
+            if (discount) window.ShopPromos.recordUse(discount.code);
+            window.ShopPromos.clearApplied();
+            window.ShopCart.clear();
+            window.location.href = 'order-confirmation.html?order=' + encodeURIComponent(order.id);
+        } catch (err) {
+            console.error('[checkout] submit failed', err);
+            // don't leave a half-placed order behind for the admin to chase
+            if (order && window.ShopOrders.get(order.id).status === 'pending_payment') {
+                try { window.ShopOrders.setStatus(order.id, 'cancelled', 'Checkout failed before the slip was saved'); } catch (e) { /* ignore */ }
+            }
+            const message = err && err.name === 'SlipSaveError'
+                ? 'Your payment slip could not be saved in this browser. Please try a smaller file, or free up space and try again.'
+                : 'Something went wrong while placing your order. Please try again.';
+            showErrors([{ field: null, message }]);
+            if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Continue'; }
+        }
+    });
+})();
@@ -0,0 +1,84 @@
+// CSV reading and writing for the admin import/export tools (RFC 4180: quoted fields, "" for a quote,
+// line breaks inside quotes, CRLF or LF). Exposed as window.ShopCsv.
+
+(function () {
+    // text -> array of rows (arrays of strings); blank lines are dropped
+    function parse(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else field += ch;
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    }
+
+    // rows with a header line -> objects keyed by the (trimmed, lower-cased) header names
+    function parseObjects(text) {
+        const [header, ...rows] = parse(text);
+        if (!header) return [];
+        const keys = header.map(h => h.trim().toLowerCase());
+        return rows.map(cells => {
+            const record = {};
+            keys.forEach((key, i) => { if (key) record[key] = (cells[i] || '').trim(); });
+            return record;
+        });
+    }
+
+    function quote(value) {
+        const text = value == null ? '' : String(value);
+        return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // columns: [{ key, label }] or plain keys; records: objects
+    function stringify(columns, records) {
+        const cols = columns.map(c => (typeof c === 'string' ? { key: c, label: c } : c));
+        const lines = [cols.map(c => quote(c.label)).join(',')];
+        records.forEach(r => lines.push(cols.map(c => quote(r[c.key])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // saves text as a file in the browser's downloads
+    function download(filename, text, type = 'text/csv') {
+        const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    window.ShopCsv = {
+        parse,
+        parseObjects,
+        stringify,
+        download
+    };
+})();
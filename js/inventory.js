@@ -0,0 +1,128 @@
+// Stock on hand per product, or per variant for products with variants.
+// A product's `stock` (data/products.json, the admin form) is its starting level; once stock has been set in admin
+// or moved by an order the current level lives in localStorage 'stock-levels', keyed like cart lines
+// ('<productId>::<variant options>'). Products without any stock figure are not tracked and never sell out.
+// Orders take stock when their payment is verified and give it back if they are cancelled afterwards (js/orders.js).
+// Exposed as window.ShopInventory; fires `stockUpdated` on window whenever a level changes.
+
+(function () {
+    const LEVELS_KEY = 'stock-levels';
+    const LOW_STOCK = 3; // "Only 3 left" and the admin low-stock warning start here
+
+    function safeParse(raw) {
+        try { return raw ? JSON.parse(raw) : {}; } catch { return {}; }
+    }
+
+    function loadLevels() {
+        const levels = safeParse(localStorage.getItem(LEVELS_KEY));
+        return levels && typeof levels === 'object' && !Array.isArray(levels) ? levels : {};
+    }
+
+    function saveLevels(levels) {
+        localStorage.setItem(LEVELS_KEY, JSON.stringify(levels));
+        window.dispatchEvent(new Event('stockUpdated'));
+    }
+
+    // same format as ShopCart.lineKey so a cart line's key is its stock key
+    function stockKey(productId, variant) {
+        const options = variant && typeof variant === 'object' ? variant : null;
+        const suffix = options ? Object.keys(options).sort().map(k => `${k}=${options[k]}`).join('|') : '';
+        return `${productId}::${suffix}`;
+    }
+
+    function asLevel(value) {
+        if (value == null || value === '') return null;
+        const n = Math.floor(Number(value));
+        return Number.isFinite(n) ? Math.max(0, n) : null;
+    }
+
+    // units on hand for a canonical product (and one of its variants); null when not tracked
+    function level(product, variant = null) {
+        if (!product) return null;
+        const levels = loadLevels();
+        const key = stockKey(product.id, variant ? variant.options : null);
+        if (levels[key] != null) return asLevel(levels[key]);
+        return asLevel(variant ? variant.stock : product.stock);
+    }
+
+    // what is left of the whole product: the sum over its available variants, null if any of them is untracked
+    function productLevel(product) {
+        if (!product) return null;
+        if (!Array.isArray(product.variants) || !product.variants.length) return level(product);
+        let total = 0;
+        for (const variant of product.variants.filter(v => v.available)) {
+            const n = level(product, variant);
+            if (n == null) return null;
+            total += n;
+        }
+        return total;
+    }
+
+    // 'untracked' | 'sold_out' | 'low' | 'in_stock'
+    function status(units) {
+        if (units == null) return 'untracked';
+        if (units <= 0) return 'sold_out';
+        return units <= LOW_STOCK ? 'low' : 'in_stock';
+    }
+
+    // badge text for catalog cards and the product page; empty when there's nothing to say
+    function badge(units) {
+        const s = status(units);
+        if (s === 'sold_out') return 'Sold out';
+        if (s === 'low') return `Only ${units} left`;
+        return '';
+    }
+
+    // admin: sets the units on hand (null stops tracking the product or variant)
+    function set(productId, variant, units) {
+        const levels = loadLevels();
+        const key = stockKey(productId, variant);
+        const n = asLevel(units);
+        if (n == null) delete levels[key]; else levels[key] = n;
+        saveLevels(levels);
+    }
+
+    // admin: forgets every level recorded for a deleted product (and its variants)
+    function remove(productId) {
+        const levels = loadLevels();
+        const prefix = `${productId}::`;
+        const keys = Object.keys(levels).filter(key => key.startsWith(prefix));
+        if (!keys.length) return;
+        keys.forEach(key => delete levels[key]);
+        saveLevels(levels);
+    }
+
+    // moves stock for order lines (cart line copies); `sign` -1 takes, +1 gives back
+    // a line's `stock` is the level seen when it was added to the cart, the starting point if nothing was recorded since
+    function adjust(items, sign) {
+        const levels = loadLevels();
+        let changed = false;
+        (items || []).forEach(item => {
+            if (!item || item.productId == null || item.unavailable) return;
+            const key = stockKey(item.productId, item.variant);
+            const current = levels[key] != null ? asLevel(levels[key]) : asLevel(item.stock);
+            if (current == null) return; // not tracked
+            levels[key] = Math.max(0, current + sign * (Number(item.quantity) || 0));
+            changed = true;
+        });
+        if (changed) saveLevels(levels);
+        return changed;
+    }
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === LEVELS_KEY) window.dispatchEvent(new Event('stockUpdated'));
+    });
+
+    window.ShopInventory = {
+        LOW_STOCK,
+        stockKey,
+        level,
+        productLevel,
+        status,
+        badge,
+        set,
+        remove,
+        take: (items) => adjust(items, -1),
+        restore: (items) => adjust(items, 1)
+    };
+})();
@@ -0,0 +1,311 @@
+// Invoices/receipts for verified orders: a printable HTML invoice and a PDF generated in the browser
+// (no library, plain PDF 1.4 text and lines). The sequential invoice number is given to the order when its payment
+// is verified (ShopOrders.setStatus); building an invoice only reads the order.
+// Exposed as window.ShopInvoice; also drives invoice.html (?order=<id>).
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+
+    // prices in the store are VAT-inclusive; change here if the tax setup changes
+    const TAX = { label: 'VAT', rate: 0.18, inclusive: true };
+
+    const SHOP = {
+        name: 'ASHADI',
+        tagline: 'Timeless jewellery, crafted with elegance.',
+        email: 'support@luxuryboutique.com',
+        phone: '+94 71 234 5678'
+    };
+
+    const INVOICEABLE = ['verified', 'processing', 'shipped', 'delivered'];
+
+    function money(n) { return window.ShopPricing.formatBase(n); }
+    function formatDate(ts) { return new Date(ts).toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: 'numeric' }); }
+
+    function isInvoiceable(order) {
+        return !!order && INVOICEABLE.includes(order.status) && !!order.invoiceNumber;
+    }
+
+    // plain invoice data used by both the HTML and the PDF renderers
+    function build(orderId) {
+        const order = window.ShopOrders.get(orderId);
+        if (!isInvoiceable(order)) return null;
+
+        const totals = order.totals || {};
+        const total = Number(totals.total) || 0;
+        const tax = TAX.inclusive ? total - total / (1 + TAX.rate) : total * TAX.rate;
+        const slip = window.ShopSlips
+            ? window.ShopSlips.forOrder(order.id).find(s => s.status === 'approved')
+            : null;
+
+        return {
+            number: order.invoiceNumber,
+            issuedAt: order.invoicedAt,
+            orderId: order.id,
+            orderedAt: order.createdAt,
+            customer: order.customer || {},
+            items: (order.items || []).map(i => ({
+                name: i.name,
+                variant: window.ShopProducts.variantLabel(i.variant),
+                quantity: Number(i.quantity) || 0,
+                unitPrice: Number(i.price) || 0,
+                amount: window.ShopOrders.lineTotal(i)
+            })),
+            subtotal: Number(totals.subtotal) || 0,
+            discount: Number(totals.discount) || 0,
+            discountLabel: totals.discountCode ? `Discount (${totals.discountCode})` : 'Discount',
+            shipping: Number(totals.shipping) || 0,
+            shippingLabel: totals.shippingMethod ? `Delivery (${totals.shippingMethod})` : 'Delivery',
+            taxLabel: `${TAX.inclusive ? 'Includes ' : ''}${TAX.label} (${Math.round(TAX.rate * 100)}%)`,
+            tax: Math.round(tax * 100) / 100,
+            taxInclusive: TAX.inclusive,
+            total: TAX.inclusive ? total : total + tax,
+            payment: {
+                method: 'Bank transfer',
+                reference: order.id,
+                slipId: slip ? slip.id : '',
+                amountPaid: slip && slip.amountPaid != null ? Number(slip.amountPaid) : null,
+                verifiedAt: slip ? slip.reviewedAt : null
+            }
+        };
+    }
+
+    // --- HTML ---
+    function totalsRows(inv) {
+        const rows = [['Subtotal', money(inv.subtotal)]];
+        if (inv.discount) rows.push([inv.discountLabel, '- ' + money(inv.discount)]);
+        if (inv.shipping) rows.push([inv.shippingLabel, money(inv.shipping)]);
+        if (!inv.taxInclusive) rows.push([inv.taxLabel, money(inv.tax)]);
+        rows.push(['Total', money(inv.total)]);
+        if (inv.taxInclusive) rows.push([inv.taxLabel, money(inv.tax)]);
+        return rows;
+    }
+
+    function renderHtml(inv) {
+        const p = inv.payment;
+        return `
+      <header class="invoice-header">
+        <div>
+          <div class="invoice-brand">${SHOP.name}</div>
+          <div class="invoice-muted">${SHOP.tagline}</div>
+          <div class="invoice-muted">${SHOP.email} · ${SHOP.phone}</div>
+        </div>
+        <div class="invoice-meta">
+          <h1>Invoice</h1>
+          <div><strong>${escapeHtml(inv.number)}</strong></div>
+          <div>Issued ${formatDate(inv.issuedAt)}</div>
+          <div>Order ${escapeHtml(inv.orderId)} · ${formatDate(inv.orderedAt)}</div>
+        </div>
+      </header>
+
+      <section class="invoice-parties">
+        <h2>Billed to</h2>
+        <div>${escapeHtml(inv.customer.name)}</div>
+        <div style="white-space:pre-line;">${escapeHtml(inv.customer.address)}</div>
+        <div>${escapeHtml(inv.customer.phone)}</div>
+        <div>${escapeHtml(inv.customer.email)}</div>
+      </section>
+
+      <table class="invoice-items">
+        <thead><tr><th>Item</th><th>Qty</th><th>Unit price</th><th>Amount</th></tr></thead>
+        <tbody>
+          ${inv.items.map(i => `
+            <tr>
+              <td>${escapeHtml(i.name)}${i.variant ? `<div class="invoice-muted">${escapeHtml(i.variant)}</div>` : ''}</td>
+              <td>${i.quantity}</td>
+              <td>${money(i.unitPrice)}</td>
+              <td>${money(i.amount)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <table class="invoice-totals">
+        ${totalsRows(inv).map(([label, value]) => `<tr${label === 'Total' ? ' class="invoice-grand-total"' : ''}><td>${escapeHtml(label)}</td><td>${value}</td></tr>`).join('')}
+      </table>
+
+      <section class="invoice-payment">
+        <h2>Payment</h2>
+        <div>${escapeHtml(p.method)} — reference ${escapeHtml(p.reference)}</div>
+        ${p.amountPaid != null ? `<div>Received ${money(p.amountPaid)}${p.verifiedAt ? ` on ${formatDate(p.verifiedAt)}` : ''}</div>` : ''}
+        ${p.slipId ? `<div class="invoice-muted">Slip ${escapeHtml(p.slipId)}</div>` : ''}
+      </section>
+
+      <footer class="invoice-footer">Thank you for shopping with ${SHOP.name}.</footer>
+    `;
+    }
+
+    // --- PDF ---
+    // Helvetica advance widths (1/1000 em) for the characters that matter when right-aligning amounts
+    const WIDTHS = { ' ': 278, ',': 278, '.': 278, '-': 333, ':': 278, '(': 333, ')': 333, '%': 889 };
+    function textWidth(str, size) {
+        let w = 0;
+        for (const ch of str) {
+            if (WIDTHS[ch]) w += WIDTHS[ch];
+            else if (/[0-9]/.test(ch)) w += 556;
+            else if (/[A-Z]/.test(ch)) w += 667;
+            else w += 500;
+        }
+        return (w * size) / 1000;
+    }
+
+    function pdfText(str) {
+        return String(str == null ? '' : str)
+            .replace(/[–—]/g, '-')
+            .replace(/×/g, 'x')
+            .replace(/[^\x20-\x7e]/g, '?')
+            .replace(/([\\()])/g, '\\$1');
+    }
+
+    function renderPdf(inv) {
+        const PAGE_W = 595;
+        const PAGE_H = 842;
+        const M = 50;
+        const pages = [];
+        let ops = [];
+        let y = PAGE_H - M;
+
+        const text = (x, str, size = 10, bold = false, align = 'left') => {
+            const clean = pdfText(str);
+            const tx = align === 'right' ? x - textWidth(clean.replace(/\\/g, ''), size) : x;
+            ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${tx.toFixed(2)} ${y.toFixed(2)} Td (${clean}) Tj ET`);
+        };
+        const rule = () => ops.push(`0.8 G 0.5 w ${M} ${(y + 12).toFixed(2)} m ${PAGE_W - M} ${(y + 12).toFixed(2)} l S 0 G`);
+        const newPage = () => { pages.push(ops.join('\n')); ops = []; y = PAGE_H - M; };
+        const down = (dy) => { y -= dy; if (y < M + 40) newPage(); };
+
+        // header
+        text(M, SHOP.name, 22, true);
+        text(PAGE_W - M, 'INVOICE', 18, true, 'right');
+        down(18);
+        text(M, SHOP.tagline, 9);
+        text(PAGE_W - M, inv.number, 10, true, 'right');
+        down(13);
+        text(M, `${SHOP.email}  |  ${SHOP.phone}`, 9);
+        text(PAGE_W - M, `Issued ${formatDate(inv.issuedAt)}`, 9, false, 'right');
+        down(13);
+        text(PAGE_W - M, `Order ${inv.orderId}`, 9, false, 'right');
+        down(30);
+
+        // billed to
+        text(M, 'Billed to', 10, true);
+        down(14);
+        [inv.customer.name, ...String(inv.customer.address || '').split('\n'), inv.customer.phone, inv.customer.email]
+            .filter(Boolean)
+            .forEach(line => { text(M, line, 10); down(13); });
+        down(16);
+
+        // items
+        const colQty = 340, colUnit = 440, colAmount = PAGE_W - M;
+        text(M, 'Item', 10, true);
+        text(colQty, 'Qty', 10, true, 'right');
+        text(colUnit, 'Unit price', 10, true, 'right');
+        text(colAmount, 'Amount', 10, true, 'right');
+        down(18);
+        inv.items.forEach(i => {
+            rule();
+            text(M, i.name.length > 48 ? i.name.slice(0, 45) + '...' : i.name, 10);
+            text(colQty, String(i.quantity), 10, false, 'right');
+            text(colUnit, money(i.unitPrice), 10, false, 'right');
+            text(colAmount, money(i.amount), 10, false, 'right');
+            if (i.variant) { down(12); text(M, i.variant, 8); }
+            down(20);
+        });
+        rule();
+        down(6);
+
+        // totals
+        totalsRows(inv).forEach(([label, value]) => {
+            const bold = label === 'Total';
+            text(colUnit, label, 10, bold, 'right');
+            text(colAmount, value, 10, bold, 'right');
+            down(15);
+        });
+        down(20);
+
+        // payment
+        const p = inv.payment;
+        text(M, 'Payment', 10, true);
+        down(14);
+        text(M, `${p.method} - reference ${p.reference}`, 10);
+        down(13);
+        if (p.amountPaid != null) {
+            text(M, `Received ${money(p.amountPaid)}${p.verifiedAt ? ` on ${formatDate(p.verifiedAt)}` : ''}`, 10);
+            down(13);
+        }
+        down(20);
+        text(M, `Thank you for shopping with ${SHOP.name}.`, 9);
+        newPage();
+
+        // assemble: 1 catalog, 2 pages, 3-4 fonts, then page/content pairs
+        const objects = [];
+        const pageIds = pages.map((_, i) => 5 + i * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        pages.forEach((content, i) => {
+            const pageId = pageIds[i];
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+            objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+        });
+
+        let out = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = out.length;
+            out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xref = out.length;
+        out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+        return new Blob([out], { type: 'application/pdf' });
+    }
+
+    function downloadPdf(inv) {
+        const url = URL.createObjectURL(renderPdf(inv));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${inv.number}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    window.ShopInvoice = {
+        INVOICEABLE,
+        isInvoiceable,
+        build,
+        renderHtml,
+        renderPdf,
+        downloadPdf
+    };
+
+    // --- invoice.html ---
+    document.addEventListener('DOMContentLoaded', async () => {
+        const container = document.getElementById('invoice');
+        if (!container) return;
+        // the approved slip comes from js/store.js
+        if (window.ShopStore) await window.ShopStore.ready;
+
+        const orderId = new URLSearchParams(window.location.search).get('order');
+        const inv = orderId && build(orderId);
+        if (!inv) {
+            container.innerHTML = `
+        <div class="error-product">
+          <h3>Invoice not available</h3>
+          <p>Invoices are issued once the payment for an order has been verified.</p>
+          <a href="index.html" class="btn-secondary">Back to Home</a>
+        </div>`;
+            document.querySelectorAll('[data-invoice-action]').forEach(b => { b.hidden = true; });
+            return;
+        }
+
+        document.title = `${inv.number} - ${SHOP.name}`;
+        container.innerHTML = renderHtml(inv);
+        document.querySelector('[data-invoice-action="print"]')?.addEventListener('click', () => window.print());
+        document.querySelector('[data-invoice-action="pdf"]')?.addEventListener('click', () => downloadPdf(inv));
+    });
+})();
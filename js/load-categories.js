@@ -16,7 +16,7 @@
             card.className = 'category-card';
             card.href = 'catalog.html?category=' + encodeURIComponent(c.name || '');
             card.innerHTML = `
-        <img src="${c.image || 'images/placeholder.png'}" alt="${c.name || ''}" />
+        <img src="${window.ShopStore.src(c.image) || 'images/placeholder.png'}" alt="${c.name || ''}" />
         <div class="label">${c.name || ''}</div>
       `;
             rail.appendChild(card);
@@ -35,7 +35,7 @@
     }
 
     async function load() {
-        // Prefer server only if API_BASE_URL is set. Otherwise use localStorage only.
+        // Prefer server only if API_BASE_URL is set. Otherwise use the admin's categories (js/store.js) only.
         let categories = null;
         if (baseUrl) categories = await fetchCategoriesServer();
         if (Array.isArray(categories) && categories.length) {
@@ -43,13 +43,14 @@
             return;
         }
 
-        const raw = localStorage.getItem('local-categories');
-        const arr = raw ? JSON.parse(raw) : [];
-        render(arr);
+        await window.ShopStore.ready;
+        const local = window.ShopStore.get('local-categories');
+        await window.ShopStore.loadImages(local);
+        render(local);
     }
 
     load();
 
-    // update when admin modifies categories
+    // update when admin modifies categories (in this tab or another one)
     window.addEventListener('localCategoriesUpdated', load);
 })();
\ No newline at end of file
@@ -0,0 +1,262 @@
+// Search-as-you-type suggestions for the nav search bar (form.nav-search) on every page that has one:
+// top matching products with thumbnail and price, matching categories and recent searches.
+// Arrow keys move through the suggestions, Enter opens the highlighted one or searches the catalog
+// (catalog.html?q=...), Escape closes the list.
+// Products come from /products/search when window.API_BASE_URL is set, otherwise from
+// ShopProducts + ShopSearch (js/products.js, js/search.js).
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    const RECENT_KEY = 'recent-searches';
+    const MAX_RECENT = 5;
+    const MAX_PRODUCTS = 5;
+    const MAX_CATEGORIES = 3;
+
+    function safeParse(raw) {
+        try { return raw ? JSON.parse(raw) : []; } catch { return []; }
+    }
+
+    // --- recent searches (newest first) ---
+    function recentSearches() {
+        return safeParse(localStorage.getItem(RECENT_KEY)).filter(q => typeof q === 'string' && q);
+    }
+
+    function addRecent(query) {
+        const q = String(query || '').trim();
+        if (!q) return;
+        const list = [q, ...recentSearches().filter(r => r.toLowerCase() !== q.toLowerCase())].slice(0, MAX_RECENT);
+        localStorage.setItem(RECENT_KEY, JSON.stringify(list));
+    }
+
+    function clearRecent() {
+        localStorage.removeItem(RECENT_KEY);
+    }
+
+    // --- data ---
+    let localProducts = null; // Promise<canonical products>, loaded on first use
+
+    function loadLocalProducts() {
+        if (!localProducts) {
+            localProducts = window.ShopProducts.loadAll()
+                .then(r => window.ShopStore.loadImages(r.products).then(() => r.products))
+                .catch(err => {
+                    console.warn('[nav-search] failed to load products', err);
+                    return [];
+                });
+        }
+        return localProducts;
+    }
+
+    // js/store.js fires this for saves in other tabs too
+    window.addEventListener('localProductsUpdated', () => { localProducts = null; });
+
+    // the backend's ranking when there is one; null falls back to the local index
+    async function remoteSearch(query) {
+        const baseUrl = window.API_BASE_URL || '';
+        if (!baseUrl) return null;
+        try {
+            const params = new URLSearchParams({ q: query, limit: MAX_PRODUCTS });
+            const res = await fetch(`${baseUrl}/products/search?${params}`);
+            if (!res.ok) throw new Error(`status ${res.status}`);
+            return window.ShopProducts.normalizeList(await res.json(), 'api').products;
+        } catch (err) {
+            console.warn('[nav-search] /products/search failed, using local data', err);
+            return null;
+        }
+    }
+
+    // { products: [{ product, terms }], categories: [name] }
+    async function suggestionsFor(query) {
+        const products = await loadLocalProducts();
+        const local = window.ShopSearch.search(products, query);
+        const remote = await remoteSearch(query);
+        // highlight server results with whatever the local index matched
+        let matches = local;
+        if (remote) {
+            const terms = new Map(window.ShopSearch.search(remote, query).map(r => [r.product, r.terms]));
+            matches = remote.map(product => ({ product, terms: terms.get(product) }));
+        }
+
+        // categories of the matching products, then any category whose name matches the query itself
+        const categories = [];
+        const addCategory = (name) => {
+            if (name && !categories.some(c => c.toLowerCase() === name.toLowerCase())) categories.push(name);
+        };
+        local.forEach(r => r.product.category && addCategory(r.product.category.name));
+        const words = window.ShopSearch.tokenize(query);
+        window.ShopStore.get('local-categories').forEach(c => {
+            const name = c && c.name ? String(c.name) : '';
+            const nameWords = window.ShopSearch.tokenize(name);
+            if (words.length && words.every(w => nameWords.some(n => n.startsWith(w)))) addCategory(name);
+        });
+
+        return {
+            products: matches.slice(0, MAX_PRODUCTS).map(r => ({ product: r.product, terms: r.terms })),
+            categories: categories.slice(0, MAX_CATEGORIES)
+        };
+    }
+
+    // --- dropdown ---
+    function initSearchForm(form, index) {
+        const input = form.querySelector('.nav-search-bar');
+        const list = form.querySelector('.nav-search-suggestions');
+        if (!input || !list) return;
+
+        const listId = list.id || `navSearchSuggestions${index || ''}`;
+        list.id = listId;
+        list.setAttribute('role', 'listbox');
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', listId);
+        input.setAttribute('aria-expanded', 'false');
+
+        let active = -1;
+        let debounce = null;
+        let requestId = 0;
+
+        const options = () => Array.from(list.querySelectorAll('[role="option"]'));
+
+        function close() {
+            list.hidden = true;
+            list.innerHTML = '';
+            active = -1;
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        }
+
+        function setActive(i) {
+            const all = options();
+            if (!all.length) return;
+            active = (i + all.length) % all.length;
+            all.forEach((option, n) => {
+                option.classList.toggle('is-active', n === active);
+                option.setAttribute('aria-selected', n === active ? 'true' : 'false');
+            });
+            input.setAttribute('aria-activedescendant', all[active].id);
+            all[active].scrollIntoView?.({ block: 'nearest' });
+        }
+
+        function option(href, html, extra = '', attrs = '') {
+            return `<a role="option" aria-selected="false" class="suggestion ${extra}" href="${escapeHtml(href)}" ${attrs}>${html}</a>`;
+        }
+
+        function group(title, items, action = '') {
+            if (!items.length) return '';
+            return `
+                <div class="suggestion-group" role="group" aria-label="${escapeHtml(title)}">
+                    <div class="suggestion-heading"><span>${escapeHtml(title)}</span>${action}</div>
+                    ${items.join('')}
+                </div>`;
+        }
+
+        function show(html) {
+            if (!html.trim()) { close(); return; }
+            list.innerHTML = html;
+            options().forEach((el, n) => { el.id = `${listId}-option-${n}`; });
+            active = -1;
+            list.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+            input.removeAttribute('aria-activedescendant');
+        }
+
+        const recentOption = (q) => option(`catalog.html?q=${encodeURIComponent(q)}`,
+            `<span class="suggestion-title">${escapeHtml(q)}</span>`, 'suggestion-recent', `data-query="${escapeHtml(q)}"`);
+
+        function showRecent() {
+            const recent = recentSearches();
+            show(group('Recent searches', recent.map(recentOption),
+                '<button type="button" class="suggestion-clear" data-action="clear-recent">Clear</button>'));
+        }
+
+        async function update() {
+            const query = input.value.trim();
+            const request = ++requestId;
+            if (!query) { showRecent(); return; }
+
+            const { products, categories } = await suggestionsFor(query);
+            if (request !== requestId) return; // the visitor kept typing
+
+            const lower = query.toLowerCase();
+            const recent = recentSearches().filter(q => q.toLowerCase().startsWith(lower) && q.toLowerCase() !== lower);
+            const format = window.ShopPricing ? window.ShopPricing.format : String;
+
+            const html = group('Products', products.map(({ product, terms }) => option(
+                window.ShopProducts.productUrl(product),
+                `<img src="${escapeHtml(window.ShopStore.src(product.image) || 'images/placeholder1.jpg')}" alt="" class="suggestion-thumb" loading="lazy" />
+                 <span class="suggestion-title">${window.ShopSearch.highlight(product.title, terms)}</span>
+                 <span class="suggestion-price">${format(product.price)}</span>`,
+                'suggestion-product'
+            ))) + group('Categories', categories.map(name => option(
+                `catalog.html?category=${encodeURIComponent(name)}`,
+                `<span class="suggestion-title">${escapeHtml(name)}</span>`,
+                'suggestion-category'
+            ))) + group('Recent searches', recent.slice(0, 3).map(recentOption));
+
+            show(html || `<div class="suggestion-empty">No matches for &ldquo;${escapeHtml(query)}&rdquo;</div>`);
+        }
+
+        function scheduleUpdate() {
+            clearTimeout(debounce);
+            debounce = setTimeout(update, 150);
+        }
+
+        // remember what was typed (or the recent search picked) before leaving the page
+        function follow(el) {
+            addRecent(el.dataset.query || input.value);
+            window.location.href = el.getAttribute('href');
+        }
+
+        input.addEventListener('input', scheduleUpdate);
+        input.addEventListener('focus', () => { if (list.hidden) update(); });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (list.hidden) { update(); return; }
+                setActive(e.key === 'ArrowDown' ? active + 1 : (active < 0 ? -1 : active - 1));
+            } else if (e.key === 'Enter' && active >= 0 && !list.hidden) {
+                e.preventDefault();
+                follow(options()[active]);
+            } else if (e.key === 'Escape' && !list.hidden) {
+                e.preventDefault();
+                close();
+            }
+        });
+
+        // Enter without a highlighted suggestion searches the catalog (the form posts q to catalog.html)
+        form.addEventListener('submit', (e) => {
+            const query = input.value.trim();
+            if (!query) { e.preventDefault(); return; }
+            addRecent(query);
+        });
+
+        // keep focus in the input while clicking inside the list
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="clear-recent"]')) {
+                clearRecent();
+                input.value.trim() ? update() : close();
+                return;
+            }
+            const el = e.target.closest('[role="option"]');
+            if (!el) return;
+            e.preventDefault();
+            follow(el);
+        });
+
+        form.addEventListener('focusout', (e) => {
+            if (!form.contains(e.relatedTarget)) close();
+        });
+    }
+
+    function init() {
+        if (!window.ShopProducts || !window.ShopSearch) return;
+        document.querySelectorAll('form.nav-search').forEach(initSearchForm);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
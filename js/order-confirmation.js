@@ -0,0 +1,131 @@
+// Order confirmation: shows the order that checkout.js just placed (order id from ?order=).
+// When a slip was rejected, the customer can upload a new one against the same order here.
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    const container = document.getElementById('orderConfirmation');
+    if (!container || !window.ShopOrders) return;
+
+    const baseUrl = window.API_BASE_URL || '';
+
+    const orderId = new URLSearchParams(window.location.search).get('order');
+
+    function statusMessage(order) {
+        if (order.status === 'pending_payment') {
+            const rejected = window.ShopSlips.forOrder(order.id).find(s => s.status === 'rejected');
+            return rejected
+                ? `<p class="checkout-error">We couldn't verify your payment slip: ${escapeHtml(rejected.rejectReason)}.</p>
+                   <p>Please upload a new slip for the same order.</p>`
+                : '<p>We are waiting for your payment slip.</p>';
+        }
+        if (order.status === 'slip_submitted') return '<p>Your order has been placed and your payment slip was received.</p>';
+        if (order.status === 'cancelled') return '<p>This order has been cancelled.</p>';
+        return '<p>Your payment has been verified. Thank you!</p>';
+    }
+
+    function reuploadForm() {
+        return `
+            <form id="slipReuploadForm" class="checkout-form" novalidate>
+                <label for="reupload-slip">Upload payment slip</label>
+                <input type="file" id="reupload-slip" accept="image/*,application/pdf" required>
+                <div id="reupload-error" class="checkout-error" role="alert" style="display:none;"></div>
+                <button type="submit" class="btn-continue">Upload slip</button>
+            </form>
+        `;
+    }
+
+    // subtotal, discount and delivery rows; orders placed before discounts and delivery fees have none
+    function totalsBreakdown(order) {
+        const t = order.totals;
+        const format = window.ShopPricing.format;
+        if (!t.discount && t.shipping == null) return '';
+        return `
+            <div class="checkout-subtotal"><span>Subtotal</span><span>${format(t.subtotal)}</span></div>
+            ${t.discount ? `<div class="checkout-discount"><span>Discount (${escapeHtml(t.discountCode)})</span><span>&minus;${format(t.discount)}</span></div>` : ''}
+            ${t.shipping != null ? `<div class="checkout-shipping"><span>${escapeHtml(t.shippingMethod || 'Delivery')}</span><span>${t.shipping ? format(t.shipping) : 'Free'}</span></div>` : ''}
+        `;
+    }
+
+    function render() {
+        const order = orderId && window.ShopOrders.get(orderId);
+        if (!order) {
+            container.innerHTML = `
+                <p>We couldn't find that order on this device.</p>
+                <p>If you placed an order, please keep your payment slip and contact us with your order number.</p>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            ${statusMessage(order)}
+            <p>Order number</p>
+            <p class="order-id">${escapeHtml(order.id)}</p>
+            <p>Status: <strong>${escapeHtml(window.ShopOrders.STATUSES[order.status] || order.status)}</strong></p>
+            ${order.status === 'pending_payment' ? reuploadForm() : ''}
+            ${window.ShopInvoice.isInvoiceable(order) ? `<p><a href="invoice.html?order=${encodeURIComponent(order.id)}" class="btn-review">View invoice / receipt</a></p>` : ''}
+            <div class="checkout-summary">
+                <ul class="checkout-items">
+                    ${order.items.map(item => `
+                        <li>
+                            <span>${escapeHtml(item.name)} &times; ${Number(item.quantity) || 0}${item.variant ? `<small class="item-variant">${escapeHtml(window.ShopProducts.variantLabel(item.variant))}</small>` : ''}</span>
+                            <span>${window.ShopPricing.format(window.ShopOrders.lineTotal(item))}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${totalsBreakdown(order)}
+                <div class="checkout-total">
+                    <span>Total</span>
+                    <span>${window.ShopPricing.format(order.totals.total)}</span>
+                </div>
+            </div>
+            <p>We will verify your payment and contact you at ${escapeHtml(order.customer.email)} once your order is confirmed.</p>
+        `;
+    }
+
+    async function postSlipToServer(file) {
+        if (!baseUrl) return;
+        const body = new FormData();
+        body.append('slip', file);
+        try {
+            const res = await fetch(`${baseUrl.replace(/\/$/, '')}/orders/${encodeURIComponent(orderId)}/slips`, { method: 'POST', body });
+            if (!res.ok) console.warn('[confirmation] slip POST failed, status=', res.status);
+        } catch (err) {
+            console.warn('[confirmation] slip POST failed, kept locally', err);
+        }
+    }
+
+    // re-upload after a rejection (form is re-rendered, so listen on the container)
+    container.addEventListener('submit', async (e) => {
+        if (e.target.id !== 'slipReuploadForm') return;
+        e.preventDefault();
+        const input = document.getElementById('reupload-slip');
+        const errorEl = document.getElementById('reupload-error');
+        const file = input.files && input.files[0];
+        const message = window.ShopSlips.validateFile(file);
+        if (message) {
+            errorEl.textContent = message;
+            errorEl.style.display = 'block';
+            return;
+        }
+
+        const btn = e.target.querySelector('[type="submit"]');
+        btn.disabled = true;
+        btn.textContent = 'Uploading...';
+        try {
+            await window.ShopSlips.submit(orderId, file);
+            await postSlipToServer(file);
+            render();
+        } catch (err) {
+            console.error('[confirmation] slip upload failed', err);
+            errorEl.textContent = 'We could not save your slip. Please try a smaller file.';
+            errorEl.style.display = 'block';
+            btn.disabled = false;
+            btn.textContent = 'Upload slip';
+        }
+    });
+
+    // slips are read from js/store.js, which loads asynchronously
+    window.ShopStore.ready.then(render);
+    window.addEventListener('currencyChanged', render);
+    window.addEventListener('storage', (e) => { if (e.key === 'orders') render(); });
+})();
@@ -0,0 +1,165 @@
+// Order model shared by checkout, the confirmation page and the admin Orders tab (localStorage).
+// Exposed as window.ShopOrders; fires `ordersUpdated` on window whenever an order is saved.
+
+(function () {
+    const ORDERS_KEY = 'orders';
+    const INVOICE_SEQUENCE_KEY = 'invoice-sequence';
+
+    // lifecycle: pending_payment -> slip_submitted -> verified -> processing -> shipped -> delivered
+    // (cancelled can be reached from any state until the order ships)
+    const STATUSES = {
+        pending_payment: 'Pending payment',
+        slip_submitted: 'Slip submitted',
+        verified: 'Verified',
+        processing: 'Processing',
+        shipped: 'Shipped',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled'
+    };
+
+    const TRANSITIONS = {
+        pending_payment: ['slip_submitted', 'cancelled'],
+        slip_submitted: ['verified', 'pending_payment', 'cancelled'],
+        verified: ['processing', 'cancelled'],
+        processing: ['shipped', 'cancelled'],
+        shipped: ['delivered'],
+        delivered: [],
+        cancelled: []
+    };
+
+    function safeParse(raw) {
+        try { return raw ? JSON.parse(raw) : []; } catch { return []; }
+    }
+    function loadOrders() { return safeParse(localStorage.getItem(ORDERS_KEY)); }
+    function saveOrders(arr) {
+        localStorage.setItem(ORDERS_KEY, JSON.stringify(arr));
+        window.dispatchEvent(new Event('ordersUpdated'));
+    }
+
+    function generateId() {
+        const stamp = Date.now().toString(36).toUpperCase();
+        const rand = Math.random().toString(36).slice(2, 5).toUpperCase();
+        return `ORD-${stamp}-${rand}`;
+    }
+
+    function lineTotal(item) {
+        return (Number(item.price) || 0) * (Number(item.quantity) || 0);
+    }
+
+    // discount: { code, amount } from js/promotions.js, already worked out against these items
+    // shipping: a quote from js/shipping.js ({ method, district, fee, label })
+    function computeTotals(items, { discount = null, shipping = null } = {}) {
+        const subtotal = items.reduce((sum, item) => sum + lineTotal(item), 0);
+        const totals = { subtotal, total: subtotal };
+        const amount = Math.min(subtotal, Number(discount && discount.amount) || 0);
+        if (amount > 0) {
+            totals.discount = amount;
+            totals.discountCode = discount.code || '';
+            totals.total = subtotal - amount;
+        }
+        if (shipping) {
+            totals.shipping = Number(shipping.fee) || 0;
+            totals.shippingMethod = shipping.label || '';
+            totals.total += totals.shipping;
+        }
+        return totals;
+    }
+
+    function list() { return loadOrders(); }
+
+    function get(id) {
+        return loadOrders().find(o => o.id === id) || null;
+    }
+
+    // builds a new order from a cart snapshot; line items are copied so later cart edits don't leak in
+    function create({ customer, items, discount = null, shipping = null }) {
+        const now = Date.now();
+        const copied = (items || []).map(item => ({ ...item }));
+        const order = {
+            id: generateId(),
+            status: 'pending_payment',
+            customer: { ...customer },
+            items: copied,
+            totals: computeTotals(copied, { discount, shipping }),
+            shipping: shipping ? { method: shipping.method, district: shipping.district, fee: shipping.fee, label: shipping.label } : null,
+            slipIds: [],
+            history: [{ status: 'pending_payment', at: now, note: 'Order placed' }],
+            createdAt: now,
+            updatedAt: now
+        };
+        const arr = loadOrders();
+        arr.unshift(order);
+        saveOrders(arr);
+        return order;
+    }
+
+    function update(id, changes) {
+        const arr = loadOrders();
+        const idx = arr.findIndex(o => o.id === id);
+        if (idx === -1) return null;
+        arr[idx] = { ...arr[idx], ...changes, updatedAt: Date.now() };
+        saveOrders(arr);
+        return arr[idx];
+    }
+
+    // the next sequential invoice number, given once, when the payment is verified (js/invoice.js prints it)
+    function assignInvoiceNumber(id) {
+        const order = get(id);
+        if (!order || order.invoiceNumber) return order;
+        const next = (Number(localStorage.getItem(INVOICE_SEQUENCE_KEY)) || 0) + 1;
+        localStorage.setItem(INVOICE_SEQUENCE_KEY, String(next));
+        return update(id, { invoiceNumber: `INV-${String(next).padStart(6, '0')}`, invoicedAt: Date.now() });
+    }
+
+    function canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    // moves an order to a new status; throws when the lifecycle doesn't allow the move
+    // stock (js/inventory.js) leaves the shelf when the payment is verified and goes back if the order is then cancelled
+    function setStatus(id, status, note = '') {
+        const order = get(id);
+        if (!order) throw new Error(`Order ${id} not found`);
+        if (order.status === status) return order;
+        if (!canTransition(order.status, status)) {
+            throw new Error(`Cannot move order from ${STATUSES[order.status]} to ${STATUSES[status] || status}`);
+        }
+        const history = [...(order.history || []), { status, at: Date.now(), note }];
+        const changes = { status, history };
+        const Inventory = window.ShopInventory;
+        if (Inventory && status === 'verified' && !order.stockTaken) {
+            Inventory.take(order.items);
+            changes.stockTaken = true;
+        }
+        if (Inventory && status === 'cancelled' && order.stockTaken) {
+            Inventory.restore(order.items);
+            changes.stockTaken = false;
+        }
+        const saved = update(id, changes);
+        return status === 'verified' ? assignInvoiceNumber(id) : saved;
+    }
+
+    // links a payment slip to its order and marks the order as awaiting verification
+    function attachSlip(id, slipId) {
+        const order = get(id);
+        if (!order) throw new Error(`Order ${id} not found`);
+        const slipIds = (order.slipIds || []).includes(slipId) ? order.slipIds : [...(order.slipIds || []), slipId];
+        update(id, { slipIds });
+        return canTransition(order.status, 'slip_submitted') ? setStatus(id, 'slip_submitted', 'Payment slip uploaded') : get(id);
+    }
+
+    window.ShopOrders = {
+        STATUSES,
+        list,
+        get,
+        create,
+        update,
+        setStatus,
+        canTransition,
+        nextStatuses: (status) => (TRANSITIONS[status] || []).slice(),
+        attachSlip,
+        assignInvoiceNumber,
+        computeTotals,
+        lineTotal
+    };
+})();
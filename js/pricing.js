@@ -0,0 +1,108 @@
+// Money formatting shared by every page. Prices are stored in LKR (the base currency);
+// visitors can switch the display currency when the admin has entered a rate for it.
+// Exposed as window.ShopPricing; fires `currencyChanged` on window when the display currency changes.
+
+(function () {
+    const BASE_CURRENCY = 'LKR';
+    const CURRENCIES = ['LKR', 'USD', 'EUR', 'GBP'];
+    const RATES_KEY = 'currency-rates'; // { USD: 300 } = 1 USD costs 300 LKR (maintained in admin)
+    const CURRENCY_KEY = 'display-currency'; // per visitor
+
+    function getRates() {
+        try {
+            const rates = JSON.parse(localStorage.getItem(RATES_KEY) || '{}');
+            return rates && typeof rates === 'object' ? rates : {};
+        } catch {
+            return {};
+        }
+    }
+
+    function saveRates(rates) {
+        const clean = {};
+        CURRENCIES.forEach(code => {
+            const rate = Number(rates[code]);
+            if (code !== BASE_CURRENCY && rate > 0) clean[code] = rate;
+        });
+        localStorage.setItem(RATES_KEY, JSON.stringify(clean));
+        window.dispatchEvent(new Event('currencyChanged'));
+        return clean;
+    }
+
+    // currencies a visitor can pick: the base currency plus any with a rate
+    function availableCurrencies() {
+        const rates = getRates();
+        return CURRENCIES.filter(code => code === BASE_CURRENCY || Number(rates[code]) > 0);
+    }
+
+    function getCurrency() {
+        const code = localStorage.getItem(CURRENCY_KEY);
+        return availableCurrencies().includes(code) ? code : BASE_CURRENCY;
+    }
+
+    function setCurrency(code) {
+        if (!availableCurrencies().includes(code)) code = BASE_CURRENCY;
+        localStorage.setItem(CURRENCY_KEY, code);
+        window.dispatchEvent(new Event('currencyChanged'));
+    }
+
+    function convert(amount, currency = getCurrency()) {
+        const value = Number(amount) || 0;
+        if (currency === BASE_CURRENCY) return value;
+        const rate = Number(getRates()[currency]);
+        return rate > 0 ? value / rate : value;
+    }
+
+    // format(40000) -> 'LKR 40,000' or '$133.33' depending on the visitor's currency
+    function format(amount, currency = getCurrency()) {
+        if (currency !== BASE_CURRENCY && !(Number(getRates()[currency]) > 0)) currency = BASE_CURRENCY;
+        const value = convert(amount, currency);
+        if (currency === BASE_CURRENCY) {
+            return `LKR ${value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+        }
+        return value.toLocaleString('en-US', { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    // always LKR, for amounts that are actually charged (admin, slips, bank transfers)
+    function formatBase(amount) {
+        return format(amount, BASE_CURRENCY);
+    }
+
+    // fills every <select class="currency-switcher"> on the page; hidden while no rates are set
+    function mountSwitchers() {
+        const codes = availableCurrencies();
+        const current = getCurrency();
+        document.querySelectorAll('.currency-switcher').forEach(sel => {
+            sel.innerHTML = codes.map(code => `<option value="${code}"${code === current ? ' selected' : ''}>${code}</option>`).join('');
+            sel.hidden = codes.length < 2;
+            if (!sel.dataset.bound) {
+                sel.dataset.bound = 'true';
+                sel.addEventListener('change', () => setCurrency(sel.value));
+            }
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', mountSwitchers);
+    } else {
+        mountSwitchers();
+    }
+    window.addEventListener('currencyChanged', mountSwitchers);
+
+    // keep other tabs in step when the visitor switches currency or the admin edits rates
+    window.addEventListener('storage', (e) => {
+        if (e.key === CURRENCY_KEY || e.key === RATES_KEY) window.dispatchEvent(new Event('currencyChanged'));
+    });
+
+    window.ShopPricing = {
+        BASE_CURRENCY,
+        CURRENCIES,
+        getRates,
+        saveRates,
+        availableCurrencies,
+        getCurrency,
+        setCurrency,
+        convert,
+        format,
+        formatBase
+    };
+})();
@@ -0,0 +1,189 @@
+// Product page image gallery: main image with hover zoom, thumbnail strip, swipe between images
+// and a fullscreen lightbox (click to zoom, pinch on touch screens, arrow keys, Escape to close).
+// Exposed as window.ShopGallery; ProductManager mounts it into .product-images.
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    const SWIPE_DISTANCE = 40; // px of horizontal travel that counts as a swipe
+
+    // calls back with -1 / +1 when the element is swiped right / left
+    function onSwipe(element, callback) {
+        let start = null;
+        element.addEventListener('touchstart', (e) => {
+            // two fingers is a pinch, not a swipe
+            start = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+        }, { passive: true });
+        element.addEventListener('touchend', (e) => {
+            if (!start) return;
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - start.x;
+            const dy = touch.clientY - start.y;
+            start = null;
+            if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) callback(dx < 0 ? 1 : -1);
+        });
+    }
+
+    // magnify around the pointer: transform-origin follows the mouse
+    function zoomAt(img, e) {
+        const rect = img.getBoundingClientRect();
+        const x = rect.width ? ((e.clientX - rect.left) / rect.width) * 100 : 50;
+        const y = rect.height ? ((e.clientY - rect.top) / rect.height) * 100 : 50;
+        img.style.transformOrigin = `${x}% ${y}%`;
+    }
+
+    // container: .product-images; images: ordered URLs (the first is the main image)
+    function mount(container, images, alt = '') {
+        const list = (images || []).filter(Boolean);
+        if (!list.length) list.push('images/placeholder1.jpg');
+        let current = 0;
+        let lightbox = null;
+        let lastFocus = null;
+
+        const many = list.length > 1;
+        container.classList.add('product-gallery');
+        container.innerHTML = `
+            <div class="gallery-main">
+                <img src="${escapeHtml(list[0])}" alt="${escapeHtml(alt)}" class="main-image" />
+                ${many ? `
+                    <button type="button" class="gallery-nav gallery-prev" data-gallery="prev" aria-label="Previous image">&lsaquo;</button>
+                    <button type="button" class="gallery-nav gallery-next" data-gallery="next" aria-label="Next image">&rsaquo;</button>
+                    <span class="gallery-counter" aria-live="polite"></span>` : ''}
+                <button type="button" class="gallery-expand" data-gallery="open" aria-label="View full screen">&#x26F6;</button>
+            </div>
+            ${many ? `
+                <div class="thumbnail-images" role="tablist" aria-label="Product images">
+                    ${list.map((src, i) => `
+                        <button type="button" class="gallery-thumb" role="tab" data-index="${i}" aria-label="Image ${i + 1} of ${list.length}">
+                            <img src="${escapeHtml(src)}" alt="" loading="lazy" />
+                        </button>`).join('')}
+                </div>` : ''}
+        `;
+
+        const main = container.querySelector('.gallery-main');
+        const mainImage = main.querySelector('.main-image');
+
+        function show(index) {
+            current = (index + list.length) % list.length;
+            mainImage.src = list[current];
+            mainImage.alt = many ? `${alt} (image ${current + 1} of ${list.length})` : alt;
+            container.querySelectorAll('.gallery-thumb').forEach((thumb, i) => {
+                thumb.classList.toggle('is-active', i === current);
+                thumb.setAttribute('aria-selected', i === current ? 'true' : 'false');
+            });
+            const counter = main.querySelector('.gallery-counter');
+            if (counter) counter.textContent = `${current + 1} / ${list.length}`;
+            if (lightbox) renderLightbox();
+        }
+
+        // --- hover zoom on the main image (mouse only; touch screens use the lightbox) ---
+        mainImage.addEventListener('mouseenter', () => main.classList.add('is-zooming'));
+        mainImage.addEventListener('mousemove', (e) => zoomAt(mainImage, e));
+        mainImage.addEventListener('mouseleave', () => {
+            main.classList.remove('is-zooming');
+            mainImage.style.transformOrigin = '';
+        });
+        mainImage.addEventListener('click', () => openLightbox());
+
+        container.addEventListener('click', (e) => {
+            const thumb = e.target.closest('.gallery-thumb');
+            if (thumb) { show(Number(thumb.dataset.index)); return; }
+            const action = e.target.closest('[data-gallery]')?.dataset.gallery;
+            if (action === 'prev') show(current - 1);
+            if (action === 'next') show(current + 1);
+            if (action === 'open') openLightbox();
+        });
+
+        // arrow keys move along the thumbnail strip
+        container.addEventListener('keydown', (e) => {
+            if (!e.target.closest('.gallery-thumb')) return;
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            e.preventDefault();
+            show(current + (e.key === 'ArrowRight' ? 1 : -1));
+            container.querySelectorAll('.gallery-thumb')[current].focus();
+        });
+
+        if (many) onSwipe(main, (step) => show(current + step));
+
+        // --- lightbox ---
+        function renderLightbox() {
+            const img = lightbox.querySelector('.lightbox-image');
+            img.src = list[current];
+            img.alt = alt;
+            img.classList.remove('is-zoomed');
+            const counter = lightbox.querySelector('.lightbox-counter');
+            if (counter) counter.textContent = `${current + 1} / ${list.length}`;
+        }
+
+        function onLightboxKey(e) {
+            if (e.key === 'Escape') closeLightbox();
+            if (many && e.key === 'ArrowLeft') show(current - 1);
+            if (many && e.key === 'ArrowRight') show(current + 1);
+        }
+
+        function openLightbox() {
+            if (lightbox) return;
+            lastFocus = document.activeElement;
+            lightbox = document.createElement('div');
+            lightbox.className = 'gallery-lightbox';
+            lightbox.setAttribute('role', 'dialog');
+            lightbox.setAttribute('aria-modal', 'true');
+            lightbox.setAttribute('aria-label', alt ? `${alt} images` : 'Product images');
+            lightbox.innerHTML = `
+                <button type="button" class="lightbox-close" data-lightbox="close" aria-label="Close">&times;</button>
+                ${many ? `
+                    <button type="button" class="gallery-nav gallery-prev" data-lightbox="prev" aria-label="Previous image">&lsaquo;</button>
+                    <button type="button" class="gallery-nav gallery-next" data-lightbox="next" aria-label="Next image">&rsaquo;</button>
+                    <span class="lightbox-counter"></span>` : ''}
+                <div class="lightbox-stage">
+                    <img class="lightbox-image" />
+                </div>
+            `;
+            document.body.appendChild(lightbox);
+            document.body.classList.add('has-lightbox');
+
+            const img = lightbox.querySelector('.lightbox-image');
+            lightbox.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-lightbox]')?.dataset.lightbox;
+                if (action === 'close') closeLightbox();
+                else if (action === 'prev') show(current - 1);
+                else if (action === 'next') show(current + 1);
+                else if (e.target === img) {
+                    // click toggles a closer look at the clicked spot
+                    zoomAt(img, e);
+                    img.classList.toggle('is-zoomed');
+                } else if (e.target.classList.contains('lightbox-stage')) closeLightbox();
+            });
+            img.addEventListener('mousemove', (e) => { if (img.classList.contains('is-zoomed')) zoomAt(img, e); });
+            if (many) onSwipe(lightbox.querySelector('.lightbox-stage'), (step) => show(current + step));
+            document.addEventListener('keydown', onLightboxKey);
+
+            renderLightbox();
+            lightbox.querySelector('.lightbox-close').focus();
+        }
+
+        function closeLightbox() {
+            if (!lightbox) return;
+            document.removeEventListener('keydown', onLightboxKey);
+            lightbox.remove();
+            lightbox = null;
+            document.body.classList.remove('has-lightbox');
+            if (lastFocus && lastFocus.focus) lastFocus.focus();
+        }
+
+        show(0);
+
+        return {
+            show,
+            // shows `src` if it is one of the gallery's images (e.g. the picture of a chosen variant)
+            showImage(src) {
+                const index = list.indexOf(src);
+                if (index >= 0) show(index);
+                return index >= 0;
+            },
+            get current() { return current; },
+            close: closeLightbox
+        };
+    }
+
+    window.ShopGallery = { mount };
+})();
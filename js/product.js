@@ -3,12 +3,19 @@ class ProductManager {
     constructor() {
         this.product = null;
         this.productId = null;
+        this.productSlug = null;
+        this.announcedId = null; // id last announced with `productLoaded`
+        this.gallery = null;
+        this.galleryFor = null;
+        this.selection = null; // chosen variant options, e.g. { Size: '7', Karat: '18K' }
+        this.selectionFor = null;
 
         // API Configuration - Update these URLs to match your backend
         this.apiConfig = {
             baseUrl: 'http://localhost:3000/api', // Update with your backend URL
             endpoints: {
-                product: '/products'
+                product: '/products',
+                productBySlug: '/products/slug'
             }
         };
 
@@ -18,22 +25,160 @@ class ProductManager {
     init() {
         this.getProductId();
         this.loadProduct();
+
+        // Re-render prices when the visitor switches currency
+        window.addEventListener('currencyChanged', () => {
+            if (this.product) this.renderProduct();
+            else if (this.suggestions) this.renderNotFound(this.suggestions);
+        });
+
+        // Sold out / only N left follow the stock on hand (orders verified in admin, another tab)
+        window.addEventListener('stockUpdated', () => {
+            if (this.product) this.renderProduct();
+        });
     }
 
     getProductId() {
-        // Get product ID from URL parameters
+        // product.html?slug=golden-elegance-necklace; older links use ?id=
         const urlParams = new URLSearchParams(window.location.search);
+        this.productSlug = urlParams.get('slug');
         this.productId = urlParams.get('id');
+    }
+
+    // --- variants (ring size, metal, karat) ---
+    // offered and not sold out
+    canBuy(variant) {
+        if (!variant || !variant.available) return false;
+        return !window.ShopInventory || window.ShopInventory.level(this.product, variant) !== 0;
+    }
+
+    // the first combination that can be bought, so the page opens on something available
+    defaultSelection() {
+        const variants = this.product.variants;
+        const pick = variants.find(v => this.canBuy(v)) || variants[0];
+        return pick ? { ...pick.options } : {};
+    }
+
+    renderVariants() {
+        const product = this.product;
+        let container = document.querySelector('.product-variants');
+        if (!product.variants.length) {
+            if (container) container.remove();
+            this.selection = null;
+            return;
+        }
+        const priceElement = document.querySelector('.product-price');
+        if (!container && priceElement) {
+            container = document.createElement('div');
+            container.className = 'product-variants';
+            priceElement.after(container);
+            container.addEventListener('change', (e) => {
+                const input = e.target.closest('input[data-option]');
+                if (!input) return;
+                this.selection = { ...this.selection, [input.dataset.option]: input.value };
+                this.renderVariants();
+                this.applySelection();
+                document.getElementById(input.id)?.focus();
+            });
+        }
+        if (!container) return;
+        if (this.selectionFor !== product.id) {
+            this.selection = this.defaultSelection();
+            this.selectionFor = product.id;
+        }
+
+        const escapeHtml = window.ShopUtils.escapeHtml;
+        container.innerHTML = product.options.map((option, i) => `
+            <fieldset class="variant-option">
+                <legend>${escapeHtml(option.name)}: <strong>${escapeHtml(this.selection[option.name] || '')}</strong></legend>
+                ${option.values.map((value, j) => {
+                    const id = `variant-${i}-${j}`;
+                    // can this value be bought together with the other current choices?
+                    const buyable = product.variants.some(v => this.canBuy(v) && v.options[option.name] === value &&
+                        product.options.every(o => o.name === option.name || v.options[o.name] === this.selection[o.name]));
+                    return `
+                    <input type="radio" class="variant-input" id="${id}" name="variant-${i}" data-option="${escapeHtml(option.name)}" value="${escapeHtml(value)}"${this.selection[option.name] === value ? ' checked' : ''}>
+                    <label for="${id}" class="variant-chip${buyable ? '' : ' is-unavailable'}">${escapeHtml(value)}</label>`;
+                }).join('')}
+            </fieldset>
+        `).join('') + '<p class="variant-status" aria-live="polite"></p>';
+    }
+
+    // price, SKU, stock, availability, picture and button data for the current selection
+    applySelection() {
+        const product = this.product;
+        const hasVariants = product.variants.length > 0;
+        const variant = hasVariants ? window.ShopProducts.findVariant(product, this.selection) : null;
+        const item = window.ShopProducts.toCartProduct(product, variant);
+        const soldOut = item.stock === 0;
+        const buyable = (!hasVariants || !!(variant && variant.available)) && !soldOut;
+
+        const priceElement = document.querySelector('.product-price');
+        if (priceElement) priceElement.textContent = window.ShopPricing.format(item.price);
+
+        // "Sold out" / "Only 2 left" under the price
+        let stockBadge = document.querySelector('.product-stock');
+        if (!stockBadge && priceElement) {
+            stockBadge = document.createElement('p');
+            stockBadge.className = 'product-stock stock-badge';
+            stockBadge.setAttribute('aria-live', 'polite');
+            priceElement.after(stockBadge);
+        }
+        if (stockBadge) {
+            const text = window.ShopInventory && (!hasVariants || variant) ? window.ShopInventory.badge(item.stock) : '';
+            stockBadge.textContent = text;
+            stockBadge.hidden = !text;
+            stockBadge.classList.toggle('is-sold-out', soldOut);
+        }
+
+        const status = document.querySelector('.variant-status');
+        if (status) {
+            if (!variant) status.textContent = 'This combination is not made. Please choose another.';
+            else if (!variant.available) status.textContent = 'This combination is currently unavailable.';
+            else if (soldOut) status.textContent = 'This combination is sold out.';
+            else status.textContent = variant.sku ? `SKU ${variant.sku}` : '';
+            status.classList.toggle('is-unavailable', !buyable);
+        }
+
+        if (variant && variant.image && this.gallery) this.gallery.showImage(window.ShopStore.src(variant.image));
+
+        const addToCartBtn = document.querySelector('.add-to-cart-btn');
+        if (addToCartBtn) {
+            addToCartBtn.setAttribute('data-product-id', item.id);
+            addToCartBtn.setAttribute('data-product', item.name);
+            addToCartBtn.setAttribute('data-price', item.price);
+            addToCartBtn.setAttribute('data-image', item.image);
+            addToCartBtn.setAttribute('data-category', item.category);
+            addToCartBtn.setAttribute('data-sku', item.sku);
+            if (item.stock != null) addToCartBtn.setAttribute('data-stock', item.stock);
+            else addToCartBtn.removeAttribute('data-stock');
+            if (variant) addToCartBtn.setAttribute('data-variant', JSON.stringify(variant.options));
+            else addToCartBtn.removeAttribute('data-variant');
+            addToCartBtn.disabled = !buyable;
+        }
+    }
+
+    // ?id= links (and slugs the backend renamed) are rewritten to the product's slug URL
+    showCanonicalUrl() {
+        const canonical = window.ShopProducts.productUrl(this.product);
+        let link = document.querySelector('link[rel="canonical"]');
+        if (!link) {
+            link = document.createElement('link');
+            link.rel = 'canonical';
+            document.head.appendChild(link);
+        }
+        link.href = new URL(canonical, window.location.href).href;
 
-        // If no ID in URL, use a default for development
-        if (!this.productId) {
-            this.productId = 1; // Default product ID
+        if (this.product.slug && this.productSlug !== this.product.slug) {
+            history.replaceState(history.state, '', canonical + window.location.hash);
+            this.productSlug = this.product.slug;
         }
+        this.productId = this.product.id;
     }
 
     // API Helper Methods
     async apiRequest(url, options = {}) {
-        const TIMEOUT_MS = 1500; // fast-fail to mock if backend is slow/unavailable
+        const TIMEOUT_MS = 1500; // fast-fail to local data if backend is slow/unavailable
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort('timeout'), TIMEOUT_MS);
 
@@ -56,28 +201,51 @@ class ProductManager {
             return await response.json();
         } catch (error) {
             // Prefer quick UX over waiting for long network timeouts
-            console.warn('API request fallback to mock due to error:', error);
-            return this.getMockProduct();
+            console.warn('[product] API request failed, using local data', error);
+            return null;
         }
     }
 
     async loadProduct() {
+        if (!this.productId && !this.productSlug) {
+            await this.showNotFound();
+            return;
+        }
         try {
             this.showLoading();
 
-            const data = await this.apiRequest(`${this.apiConfig.endpoints.product}/${this.productId}`);
-            this.product = data.product || data; // Handle different response formats
-
+            const url = this.productSlug
+                ? `${this.apiConfig.endpoints.productBySlug}/${encodeURIComponent(this.productSlug)}`
+                : `${this.apiConfig.endpoints.product}/${encodeURIComponent(this.productId)}`;
+            const data = await this.apiRequest(url);
+            // Handle different response formats; malformed records come back as null
+            this.product = data ? window.ShopProducts.normalize(data.product ? data.product : data, 'api') : null;
+            if (data && !this.product) console.warn('[product] could not read product record', data);
+
+            // no backend, or it doesn't know the product (admin products only exist locally)
+            if (!this.product) {
+                await this.loadLocalProduct();
+                return;
+            }
             this.renderProduct();
         } catch (error) {
             console.error('Failed to load product:', error);
-            this.loadMockProduct();
+            await this.showNotFound();
         }
     }
 
+    // the catalog's data: local-products + data/products.json
+    async loadLocalProduct() {
+        const { products } = await window.ShopProducts.loadAll();
+        this.product = window.ShopProducts.find(products, { slug: this.productSlug, id: this.productId });
+        if (this.product) await window.ShopStore.loadImages(this.product);
+        if (this.product) this.renderProduct();
+        else this.showNotFound(products);
+    }
+
     renderProduct() {
         if (!this.product) {
-            this.showError('Product not found');
+            this.showNotFound();
             return;
         }
 
@@ -107,7 +275,7 @@ class ProductManager {
                 <p class="product-price"></p>
                 <p class="product-description"></p>
                 <div style="display:flex; gap:12px;">
-                  <button class="btn-add-cart add-to-cart-btn" data-product="" data-price="">ADD TO CART</button>
+                  <button class="btn-add-cart add-to-cart-btn" data-product-id="" data-product="" data-price="" data-image="">ADD TO CART</button>
                 </div>
             `;
             titleElement = productInfo.querySelector('.product-title');
@@ -118,12 +286,12 @@ class ProductManager {
 
         // Update product title
         if (titleElement) {
-            titleElement.textContent = this.product.name;
+            titleElement.textContent = this.product.title;
         }
 
         // Update product price
         if (priceElement) {
-            priceElement.textContent = `$${this.product.price.toFixed(2)}`;
+            priceElement.textContent = window.ShopPricing.format(this.product.price);
         }
 
         // Update product description
@@ -131,21 +299,34 @@ class ProductManager {
             descriptionElement.textContent = this.product.description;
         }
 
-        // Update product image
-        const imageElement = document.querySelector('.main-image');
-        if (imageElement) {
-            imageElement.src = this.product.image || 'images/placeholder1.jpg';
-            imageElement.alt = this.product.name;
+        // Update product images: the gallery (js/product-gallery.js) is rebuilt only when the product changes
+        const imagesElement = document.querySelector('.product-images');
+        if (imagesElement && window.ShopGallery) {
+            if (this.galleryFor !== this.product.id) {
+                this.gallery = window.ShopGallery.mount(imagesElement, this.product.images.map(window.ShopStore.src), this.product.title);
+                this.galleryFor = this.product.id;
+            }
+        } else {
+            const imageElement = document.querySelector('.main-image');
+            if (imageElement) {
+                imageElement.src = window.ShopStore.src(this.product.image) || 'images/placeholder1.jpg';
+                imageElement.alt = this.product.title;
+            }
         }
 
-        // Update add to cart button with product data
-        if (addToCartBtn) {
-            addToCartBtn.setAttribute('data-product', this.product.name);
-            addToCartBtn.setAttribute('data-price', this.product.price);
-        }
+        // Variant selectors; the chosen combination sets the price, picture and add to cart button
+        this.renderVariants();
+        this.applySelection();
 
         // Update page title
-        document.title = `${this.product.name} - Luxury Boutique`;
+        document.title = `${this.product.title} - Luxury Boutique`;
+
+        this.showCanonicalUrl();
+        // the review blocks below wait for this: reviews are keyed by the resolved product id
+        if (this.announcedId !== this.product.id) {
+            this.announcedId = this.product.id;
+            window.dispatchEvent(new CustomEvent('productLoaded', { detail: this.product }));
+        }
     }
 
     showLoading() {
@@ -169,62 +350,80 @@ class ProductManager {
         }
     }
 
-    showError(message) {
-        const productInfo = document.querySelector('.product-info');
-        if (productInfo) {
-            productInfo.innerHTML = `
-                <div class="error-product">
-                    <h3>Error</h3>
-                    <p>${message}</p>
-                    <a href="catalog.html" class="btn-secondary">Back to Catalog</a>
-                </div>
-            `;
+    // Nothing at this URL: say so and suggest other pieces instead of showing a different product
+    async showNotFound(products = null) {
+        if (!products) {
+            try {
+                products = (await window.ShopProducts.loadAll()).products;
+            } catch (err) {
+                console.warn('[product] failed to load suggestions', err);
+                products = [];
+            }
         }
+        this.product = null;
+        const suggestions = this.suggestionsFor(products);
+        await window.ShopStore.loadImages(suggestions);
+        this.renderNotFound(suggestions);
     }
 
-    // Mock data for development (remove when backend is ready)
-    getMockProduct() {
-        const mockProducts = {
-            1: {
-                id: 1,
-                name: 'Golden Elegance Necklace',
-                price: 40000,
-                description: 'Handcrafted in 18K gold with dazzling diamonds, this necklace embodies timeless luxury.',
-                image: 'images/necklace_1.png',
-                category: 'necklaces'
-            },
-            2: {
-                id: 2,
-                name: 'Diamond Ring',
-                price: 950,
-                description: 'Exquisite diamond ring with platinum setting, perfect for special occasions.',
-                image: 'images/necklace_2.png',
-                category: 'rings'
-            },
-            3: {
-                id: 3,
-                name: 'Pearl Earrings',
-                price: 780,
-                description: 'Classic pearl earrings for elegant occasions, crafted with attention to detail.',
-                image: 'images/necklace_3.png',
-                category: 'earrings'
-            },
-            4: {
-                id: 4,
-                name: 'Luxury Bracelet',
-                price: 1100,
-                description: 'Sophisticated gold bracelet with intricate design, a statement piece for any outfit.',
-                image: 'images/necklace_4.png',
-                category: 'bracelets'
-            }
-        };
-
-        return mockProducts[this.productId] || mockProducts[1];
+    // products whose title or category resembles the slug that was asked for, then the newest ones
+    suggestionsFor(products, limit = 4) {
+        const words = this.productSlug ? this.productSlug.split('-').filter(Boolean) : [];
+        const search = (query) => (window.ShopSearch ? window.ShopSearch.search(products, query).map(r => r.product) : []);
+        // all the words first, then products matching any one of them
+        const picks = words.length ? [...search(words.join(' ')), ...words.flatMap(search)] : [];
+        const newest = [...products].sort((a, b) => b.createdAt - a.createdAt);
+        return [...new Set([...picks, ...newest])].slice(0, limit);
     }
 
-    loadMockProduct() {
-        this.product = this.getMockProduct();
-        this.renderProduct();
+    renderNotFound(suggestions) {
+        this.suggestions = suggestions;
+        const escapeHtml = window.ShopUtils.escapeHtml;
+        const page = document.querySelector('.product-page');
+        if (!page) return;
+        const display = page.querySelector('.product-display');
+        if (display) display.hidden = true;
+
+        let section = page.querySelector('.product-not-found');
+        if (!section) {
+            section = document.createElement('section');
+            section.className = 'product-not-found';
+            page.appendChild(section);
+        }
+        const message = this.productId || this.productSlug
+            ? 'This piece may have been removed or renamed.'
+            : 'No product was selected.';
+        section.innerHTML = `
+            <h1>We couldn&rsquo;t find that product</h1>
+            <p>${message}</p>
+            <a href="catalog.html" class="btn-review">Browse the catalog</a>
+            ${suggestions.length ? `
+                <h2>You might like</h2>
+                <div class="product-grid">
+                    ${suggestions.map(p => `
+                        <div class="product-card">
+                            <a href="${escapeHtml(window.ShopProducts.productUrl(p))}" class="product-link" aria-label="View ${escapeHtml(p.title)}">
+                                <div class="image-wrap">
+                                    <img src="${escapeHtml(window.ShopStore.src(p.image) || 'images/placeholder1.jpg')}" alt="${escapeHtml(p.title)}" />
+                                    <div class="overlay" aria-hidden="true">
+                                        <span class="overlay-name">${escapeHtml(p.title)}</span>
+                                        <span class="overlay-price">${window.ShopPricing.format(p.price)}</span>
+                                    </div>
+                                </div>
+                            </a>
+                        </div>
+                    `).join('')}
+                </div>` : ''}
+        `;
+
+        document.title = 'Product not found - Luxury Boutique';
+        // keep search engines from indexing the dead URL
+        if (!document.querySelector('meta[name="robots"]')) {
+            const meta = document.createElement('meta');
+            meta.name = 'robots';
+            meta.content = 'noindex';
+            document.head.appendChild(meta);
+        }
     }
 }
 
@@ -238,14 +437,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Review section behaviour
 (function () {
-    // determine base API URL and product id
+    // determine base API URL; the product id is known once ProductManager resolves the URL (productLoaded)
     const baseUrl = (window.productManager && window.productManager.apiConfig && window.productManager.apiConfig.baseUrl) || '/api';
-    const getProductId = () => {
-        if (window.productManager && window.productManager.productId) return window.productManager.productId;
-        const params = new URLSearchParams(window.location.search);
-        return params.get('id') || 1;
-    };
-    const productId = getProductId();
+    let productId = null;
     const listEl = document.getElementById('review-list');
     const form = document.getElementById('review-form');
     if (!listEl || !form) return;
@@ -323,6 +517,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
+        if (!productId) return;
         const errorEl = document.getElementById('review-error');
         const submitBtn = document.getElementById('review-submit');
         const rating = Number(document.getElementById('review-rating').value);
@@ -367,19 +562,21 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // initial load
-    loadReviews();
+    window.addEventListener('productLoaded', (e) => {
+        productId = e.detail.id;
+        loadReviews();
+    });
 })();
 
 // Local-fallback review helpers (try API, otherwise use localStorage)
 (function () {
-    const params = new URLSearchParams(window.location.search);
-    const productId = (window.productManager && window.productManager.productId) || params.get('id') || 'local-product';
+    let productId = null; // set on productLoaded
     const baseUrl = (window.productManager && window.productManager.apiConfig && window.productManager.apiConfig.baseUrl) || 'http://localhost:3000/api';
     const listEl = document.getElementById('review-list');
     const form = document.getElementById('review-form');
     if (!listEl || !form) return;
 
-    const localKey = `reviews:${productId}`;
+    let localKey = '';
 
     // small helper used by fallback block (same behavior)
     function createStarNodesFallback(rating) {
@@ -441,6 +638,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
+        if (!productId) return;
         const rating = Number(document.getElementById('review-rating').value);
         const comment = document.getElementById('review-comment').value.trim();
         const errorEl = document.getElementById('review-error');
@@ -482,6 +680,10 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // initial
-    loadReviews();
+    window.addEventListener('productLoaded', (e) => {
+        productId = e.detail.id;
+        localKey = `reviews:${productId}`;
+        loadReviews();
+    });
 })();
 
@@ -0,0 +1,279 @@
+// Product model shared by the catalog, the product page, the cart and admin.
+// Every source (data/products.json, admin 'local-products' in js/store.js, the API, mock data) is normalized into
+// one shape before use:
+//   { id, slug, title, price, description, images, image, category: { id, name } | null,
+//     metal, karat, tags, options, variants, stock, rating, createdAt, source }
+// `image` is the first of `images`, kept for thumbnails and cart lines. Uploaded images are 'idb:' refs;
+// show them through ShopStore.src. `stock` and `rating` are null when the source doesn't track them.
+// Variants: `options` lists the choices ([{ name: 'Size', values: ['6', '7'] }, { name: 'Karat', ... }]) and
+// each of `variants` is one combination: { sku, options: { Size: '7', Karat: '18K' }, price, available, image, stock }.
+// Products with variants keep their stock per variant; js/inventory.js has the current levels.
+// Records that can't be read are reported (console + the returned `rejected` list) and skipped.
+// Exposed as window.ShopProducts.
+
+(function () {
+    const LOCAL_KEY = 'local-products';
+    const CATALOG_URL = 'data/products.json';
+
+    function slugify(text) {
+        return String(text || '')
+            .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // `text` slugified, with -2, -3... appended when that slug is already in `taken`
+    function uniqueSlug(text, taken = []) {
+        const base = slugify(text) || 'product';
+        const used = new Set(taken);
+        if (!used.has(base)) return base;
+        let n = 2;
+        while (used.has(`${base}-${n}`)) n++;
+        return `${base}-${n}`;
+    }
+
+    // admin categories are { id, name }; older data and the mock catalog use a plain name
+    function normalizeCategory(category) {
+        if (!category) return null;
+        if (typeof category === 'object') {
+            const name = String(category.name || '').trim();
+            if (!name) return null;
+            return { id: category.id != null ? String(category.id) : slugify(name), name };
+        }
+        const name = String(category).trim();
+        return name ? { id: slugify(name), name } : null;
+    }
+
+    function normalizeImages(raw) {
+        const list = Array.isArray(raw.images) ? raw.images : [];
+        const images = list
+            .map(img => (img && typeof img === 'object' ? img.url || img.src : img))
+            .filter(img => typeof img === 'string' && img.trim())
+            .map(img => img.trim());
+        if (!images.length && typeof raw.image === 'string' && raw.image.trim()) images.push(raw.image.trim());
+        return images;
+    }
+
+    // returns the reasons a raw record can't be used; empty when it's fine
+    function validate(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['not an object'];
+        const errors = [];
+        if (raw.id == null || String(raw.id).trim() === '') errors.push('missing id');
+        if (!String(raw.title || raw.name || '').trim()) errors.push('missing title');
+        const price = Number(raw.price);
+        if (raw.price == null || raw.price === '' || !Number.isFinite(price) || price < 0) errors.push('invalid price');
+        return errors;
+    }
+
+    // tags come as an array or a comma-separated string
+    function normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return list.map(t => String(t || '').trim()).filter(Boolean);
+    }
+
+    function normalizeOptions(options) {
+        if (!Array.isArray(options)) return [];
+        return options
+            .map(o => ({
+                name: String((o && o.name) || '').trim(),
+                values: Array.from(new Set((Array.isArray(o && o.values) ? o.values : []).map(v => String(v).trim()).filter(Boolean)))
+            }))
+            .filter(o => o.name && o.values.length);
+    }
+
+    // variants without a readable price fall back to the product price
+    function normalizeVariants(variants, options, basePrice) {
+        if (!Array.isArray(variants) || !options.length) return [];
+        return variants
+            .filter(v => v && typeof v === 'object' && v.options && typeof v.options === 'object')
+            .map(v => {
+                const picked = {};
+                options.forEach(o => {
+                    const value = v.options[o.name];
+                    if (value != null && o.values.includes(String(value))) picked[o.name] = String(value);
+                });
+                const price = Number(v.price);
+                return {
+                    sku: String(v.sku || '').trim(),
+                    options: picked,
+                    price: v.price !== '' && v.price != null && Number.isFinite(price) && price >= 0 ? price : basePrice,
+                    available: v.available !== false,
+                    image: typeof v.image === 'string' ? v.image : '',
+                    stock: optionalNumber(v.stock)
+                };
+            })
+            // a variant has to name a value for every option
+            .filter(v => Object.keys(v.options).length === options.length);
+    }
+
+    function optionalNumber(value) {
+        if (value == null || value === '') return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    // admin ids are Date.now() timestamps, which double as a creation date for older records
+    function createdAtOf(raw) {
+        const at = typeof raw.createdAt === 'string' ? Date.parse(raw.createdAt) : Number(raw.createdAt);
+        if (Number.isFinite(at) && at > 0) return at;
+        const id = Number(raw.id);
+        return id > 1e12 ? id : 0;
+    }
+
+    // one raw record -> canonical product, or null when it's malformed
+    function normalize(raw, source = '') {
+        if (validate(raw).length) return null;
+        const title = String(raw.title || raw.name).trim();
+        const images = normalizeImages(raw);
+        const options = normalizeOptions(raw.options);
+        return {
+            ...raw,
+            id: String(raw.id),
+            slug: raw.slug ? slugify(raw.slug) : slugify(title),
+            title,
+            price: Number(raw.price),
+            description: typeof raw.description === 'string' ? raw.description : '',
+            images,
+            image: images[0] || '',
+            category: normalizeCategory(raw.category),
+            metal: String(raw.metal || '').trim(),
+            karat: String(raw.karat || '').trim().toUpperCase(),
+            tags: normalizeTags(raw.tags),
+            options,
+            variants: normalizeVariants(raw.variants, options, Number(raw.price)),
+            stock: optionalNumber(raw.stock),
+            rating: optionalNumber(raw.rating),
+            createdAt: createdAtOf(raw),
+            source
+        };
+    }
+
+    // normalizes a list (or an API envelope like { products: [...] }); malformed records are logged and skipped
+    function normalizeList(records, source = '') {
+        const list = Array.isArray(records) ? records : (records && Array.isArray(records.products) ? records.products : []);
+        const products = [];
+        const rejected = [];
+        list.forEach((raw, index) => {
+            const errors = validate(raw);
+            if (errors.length) rejected.push({ index, source, record: raw, errors });
+            else products.push(normalize(raw, source));
+        });
+        if (rejected.length) {
+            console.warn(`[products] skipped ${rejected.length} malformed record(s) from ${source || 'unknown source'}`, rejected);
+        }
+        return { products, rejected };
+    }
+
+    // local products first so an admin edit wins over the shipped catalog; later duplicates are dropped
+    function merge(...lists) {
+        const seen = new Set();
+        const merged = [];
+        lists.flat().forEach(p => {
+            if (seen.has(p.id)) return;
+            seen.add(p.id);
+            merged.push(p);
+        });
+        return merged;
+    }
+
+    // every slug must lead to one product; later products with a taken slug get a suffix
+    function dedupeSlugs(products) {
+        const used = new Set();
+        return products.map(p => {
+            const slug = used.has(p.slug) ? uniqueSlug(p.slug, used) : p.slug;
+            used.add(slug);
+            return slug === p.slug ? p : { ...p, slug };
+        });
+    }
+
+    // canonical product page URL
+    function productUrl(product) {
+        return product.slug
+            ? `product.html?slug=${encodeURIComponent(product.slug)}`
+            : `product.html?id=${encodeURIComponent(product.id)}`;
+    }
+
+    // { slug } or { id } -> product, or null
+    function find(products, { id, slug } = {}) {
+        if (slug) return products.find(p => p.slug === slug) || null;
+        if (id != null && id !== '') return products.find(p => p.id === String(id)) || null;
+        return null;
+    }
+
+    // admin products as loaded so far (await ShopStore.ready first for the full list)
+    function loadLocal() {
+        return normalizeList(window.ShopStore.get(LOCAL_KEY), LOCAL_KEY);
+    }
+
+    // admin products + data/products.json; `catalogLoaded` is false when the shipped catalog couldn't be fetched
+    async function loadAll() {
+        let catalog = { products: [], rejected: [] };
+        let catalogLoaded = false;
+        try {
+            const res = await fetch(CATALOG_URL);
+            if (res.ok) {
+                catalog = normalizeList(await res.json(), CATALOG_URL);
+                catalogLoaded = true;
+            } else {
+                console.warn('[products] data/products.json not found, status=', res.status);
+            }
+        } catch (err) {
+            console.warn('[products] failed to fetch data/products.json', err);
+        }
+        await window.ShopStore.ready;
+        const local = loadLocal();
+        return {
+            products: dedupeSlugs(merge(local.products, catalog.products)),
+            rejected: [...local.rejected, ...catalog.rejected],
+            catalogLoaded
+        };
+    }
+
+    // the variant matching every option in `selection` ({ Size: '7', Karat: '18K' }), or null
+    function findVariant(product, selection) {
+        if (!product || !product.variants || !product.variants.length || !selection) return null;
+        return product.variants.find(v => Object.keys(v.options).every(name => v.options[name] === selection[name])) || null;
+    }
+
+    // 'Size: 7, Karat: 18K' for cart lines, orders and admin lists
+    function variantLabel(variant) {
+        if (!variant) return '';
+        if (typeof variant !== 'object') return String(variant);
+        return Object.entries(variant).map(([name, value]) => `${name}: ${value}`).join(', ');
+    }
+
+    // what the cart needs to add a product
+    // (variant: one of product.variants; its price, SKU and picture win)
+    // `stock` is the level on hand right now, null when the product isn't tracked
+    function toCartProduct(product, variant = null) {
+        const stock = window.ShopInventory
+            ? window.ShopInventory.level(product, variant)
+            : (variant ? variant.stock : product.stock);
+        return {
+            id: product.id,
+            name: product.title,
+            price: variant ? variant.price : product.price,
+            image: (variant && variant.image) || product.image,
+            category: product.category ? product.category.name : '',
+            sku: variant ? variant.sku : '',
+            stock
+        };
+    }
+
+    window.ShopProducts = {
+        slugify,
+        uniqueSlug,
+        validate,
+        normalize,
+        normalizeList,
+        merge,
+        loadLocal,
+        loadAll,
+        find,
+        findVariant,
+        variantLabel,
+        productUrl,
+        toCartProduct
+    };
+})();
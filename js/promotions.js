@@ -0,0 +1,275 @@
+// Promo codes and the discount engine shared by the cart drawer, checkout and the admin Promotions tab.
+// Codes live in localStorage 'promo-codes'; the code applied to the current cart lives in 'cart-promo'.
+// The applied code is part of the cart, so changes to it are announced as `cartUpdated`.
+// Exposed as window.ShopPromos.
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    const PROMOS_KEY = 'promo-codes';
+    const APPLIED_KEY = 'cart-promo';
+
+    const TYPES = {
+        percent: 'Percentage off',
+        fixed: 'Fixed amount off',
+        bxgy: 'Buy X get Y free'
+    };
+
+    function safeParse(raw, fallback) {
+        try { return raw ? JSON.parse(raw) : fallback; } catch { return fallback; }
+    }
+
+    function normalizeCode(code) { return String(code || '').trim().toUpperCase(); }
+
+    // local products store { id, name }, the mock catalog a plain string
+    function categoryName(category) {
+        if (!category) return '';
+        return String(typeof category === 'object' ? category.name || '' : category).trim().toLowerCase();
+    }
+
+    // --- storage ---
+    function list() { return safeParse(localStorage.getItem(PROMOS_KEY), []); }
+    function get(code) { return list().find(p => p.code === normalizeCode(code)) || null; }
+
+    function saveAll(promos) {
+        localStorage.setItem(PROMOS_KEY, JSON.stringify(promos));
+        window.dispatchEvent(new Event('promosUpdated'));
+        window.dispatchEvent(new Event('cartUpdated'));
+    }
+
+    // returns an error message, or '' when the promo can be saved
+    function validatePromo(promo) {
+        if (!/^[A-Z0-9_-]{3,20}$/.test(promo.code)) return 'Codes are 3-20 letters, digits, dashes or underscores.';
+        if (!TYPES[promo.type]) return 'Choose a discount type.';
+        if (promo.type === 'percent' && !(promo.value > 0 && promo.value <= 100)) return 'A percentage must be between 1 and 100.';
+        if (promo.type === 'fixed' && !(promo.value > 0)) return 'Enter the amount to take off.';
+        if (promo.type === 'bxgy' && !(promo.buyQty >= 1 && promo.getQty >= 1)) return 'Buy and get quantities must be at least 1.';
+        return '';
+    }
+
+    // creates a code; existing codes can only be enabled or disabled so past orders stay explainable
+    function create(input) {
+        const promo = {
+            code: normalizeCode(input.code),
+            description: String(input.description || '').trim(),
+            type: input.type,
+            value: Number(input.value) || 0,
+            buyQty: Math.floor(Number(input.buyQty) || 0),
+            getQty: Math.floor(Number(input.getQty) || 0),
+            categories: (input.categories || []).map(categoryName).filter(Boolean),
+            minSpend: Number(input.minSpend) || 0,
+            expiresAt: input.expiresAt || null,
+            usageLimit: Math.floor(Number(input.usageLimit) || 0),
+            usedCount: 0,
+            active: true,
+            createdAt: Date.now()
+        };
+        const error = validatePromo(promo);
+        if (error) throw new Error(error);
+        const promos = list();
+        if (promos.some(p => p.code === promo.code)) throw new Error(`The code ${promo.code} already exists.`);
+        promos.unshift(promo);
+        saveAll(promos);
+        return promo;
+    }
+
+    function setActive(code, active) {
+        const promos = list();
+        const promo = promos.find(p => p.code === normalizeCode(code));
+        if (!promo) throw new Error(`Promo code ${code} not found`);
+        promo.active = !!active;
+        saveAll(promos);
+        return promo;
+    }
+
+    // counted when an order is placed with the code
+    function recordUse(code) {
+        const promos = list();
+        const promo = promos.find(p => p.code === normalizeCode(code));
+        if (!promo) return;
+        promo.usedCount = (promo.usedCount || 0) + 1;
+        saveAll(promos);
+    }
+
+    // 'active' | 'disabled' | 'expired' | 'used_up'
+    function statusOf(promo, now = Date.now()) {
+        if (!promo.active) return 'disabled';
+        if (promo.expiresAt && now > promo.expiresAt) return 'expired';
+        if (promo.usageLimit && (promo.usedCount || 0) >= promo.usageLimit) return 'used_up';
+        return 'active';
+    }
+
+    function describe(promo) {
+        const money = window.ShopPricing ? window.ShopPricing.formatBase : String;
+        let text;
+        if (promo.type === 'percent') text = `${promo.value}% off`;
+        else if (promo.type === 'fixed') text = `${money(promo.value)} off`;
+        else text = `Buy ${promo.buyQty} get ${promo.getQty} free`;
+        if (promo.categories && promo.categories.length) text += ` ${promo.categories.join(', ')}`;
+        return text;
+    }
+
+    // --- engine ---
+    function lineTotal(item) {
+        return (Number(item.price) || 0) * (Number(item.quantity) || 0);
+    }
+
+    // every unit of the qualifying lines, dearest first; in each group of buy + get units the
+    // cheapest `get` are free, so the customer never gets the most expensive piece for nothing
+    function buyXGetYDiscount(items, buyQty, getQty) {
+        const units = [];
+        items.forEach(item => {
+            for (let i = 0; i < (Number(item.quantity) || 0); i++) units.push(Number(item.price) || 0);
+        });
+        units.sort((a, b) => b - a);
+        const group = buyQty + getQty;
+        let discount = 0;
+        for (let start = 0; start + group <= units.length; start += group) {
+            discount += units.slice(start + buyQty, start + group).reduce((sum, price) => sum + price, 0);
+        }
+        return discount;
+    }
+
+    // works out what `code` takes off `items` (cart lines); never throws
+    // returns { ok, error, promo, discount, eligibleSubtotal }
+    function evaluate(code, items, now = Date.now()) {
+        const promo = get(code);
+        const fail = (error) => ({ ok: false, error, promo, discount: 0, eligibleSubtotal: 0 });
+        if (!promo) return fail('This promo code is not valid.');
+
+        const status = statusOf(promo, now);
+        if (status === 'disabled') return fail('This promo code is no longer available.');
+        if (status === 'expired') return fail('This promo code has expired.');
+        if (status === 'used_up') return fail('This promo code has reached its usage limit.');
+
+        const scoped = promo.categories && promo.categories.length;
+        const eligible = (items || []).filter(item => !scoped || promo.categories.includes(categoryName(item.category)));
+        if (!eligible.length) return fail(`This code only applies to ${promo.categories.join(', ')}.`);
+
+        // minimum spend counts only the items the code applies to
+        const eligibleSubtotal = eligible.reduce((sum, item) => sum + lineTotal(item), 0);
+        if (promo.minSpend && eligibleSubtotal < promo.minSpend) {
+            const money = window.ShopPricing ? window.ShopPricing.formatBase : String;
+            return fail(`Spend ${money(promo.minSpend)}${scoped ? ' on qualifying items' : ''} to use this code.`);
+        }
+
+        let discount = 0;
+        if (promo.type === 'percent') discount = eligibleSubtotal * promo.value / 100;
+        if (promo.type === 'fixed') discount = promo.value;
+        if (promo.type === 'bxgy') discount = buyXGetYDiscount(eligible, promo.buyQty, promo.getQty);
+        discount = Math.round(Math.min(discount, eligibleSubtotal));
+
+        if (!discount && promo.type === 'bxgy') {
+            return fail(`Add ${promo.buyQty + promo.getQty} qualifying items to use this code.`);
+        }
+        return { ok: true, error: '', promo, discount, eligibleSubtotal };
+    }
+
+    // --- code applied to the cart ---
+    function getApplied() { return normalizeCode(localStorage.getItem(APPLIED_KEY)); }
+
+    function apply(code, items) {
+        const result = evaluate(code, items);
+        if (result.ok) {
+            localStorage.setItem(APPLIED_KEY, normalizeCode(code));
+            window.dispatchEvent(new Event('cartUpdated'));
+        }
+        return result;
+    }
+
+    function clearApplied() {
+        localStorage.removeItem(APPLIED_KEY);
+        window.dispatchEvent(new Event('cartUpdated'));
+    }
+
+    // totals for the cart with the applied code; a code that stops qualifying (items removed,
+    // expired meanwhile) stays applied but takes nothing off and reports why
+    function summarize(items) {
+        const subtotal = (items || []).reduce((sum, item) => sum + lineTotal(item), 0);
+        const code = getApplied();
+        const result = code ? evaluate(code, items) : null;
+        const discount = result && result.ok ? result.discount : 0;
+        return {
+            subtotal,
+            discount,
+            discountCode: code,
+            error: result && !result.ok ? result.error : '',
+            total: Math.max(0, subtotal - discount)
+        };
+    }
+
+    // --- promo forms ([data-promo-form]) in the cart drawer and on checkout ---
+    function cartItems() { return window.ShopCart ? window.ShopCart.availableItems() : []; }
+
+    function renderForm(form) {
+        const message = form.querySelector('.promo-message');
+        const input = form.querySelector('input[name="promo"]');
+        const code = getApplied();
+        form.classList.toggle('has-promo', !!code);
+        if (!message) return;
+        if (!code) {
+            if (!form.dataset.error) message.innerHTML = '';
+            return;
+        }
+        if (input) input.value = '';
+        const { error } = summarize(cartItems());
+        message.innerHTML = `
+            <span class="promo-applied${error ? ' is-invalid' : ''}">
+                <strong>${escapeHtml(code)}</strong> ${error ? escapeHtml(error) : 'applied'}
+            </span>
+            <button type="button" class="promo-remove" data-promo-action="remove" aria-label="Remove promo code ${escapeHtml(code)}">Remove</button>`;
+    }
+
+    function renderForms() {
+        document.querySelectorAll('[data-promo-form]').forEach(renderForm);
+    }
+
+    function initForms() {
+        document.querySelectorAll('[data-promo-form]').forEach(form => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = form.querySelector('input[name="promo"]');
+                const code = input ? input.value : '';
+                delete form.dataset.error;
+                if (!normalizeCode(code)) return;
+                const result = apply(code, cartItems());
+                if (!result.ok) {
+                    form.dataset.error = '1';
+                    const message = form.querySelector('.promo-message');
+                    if (message) message.innerHTML = `<span class="promo-error">${escapeHtml(result.error)}</span>`;
+                }
+            });
+            form.addEventListener('click', (e) => {
+                if (e.target.closest('[data-promo-action="remove"]')) clearApplied();
+            });
+            form.addEventListener('input', () => { delete form.dataset.error; });
+        });
+        renderForms();
+    }
+
+    window.addEventListener('cartUpdated', renderForms);
+    window.addEventListener('storage', (e) => {
+        if (e.key === APPLIED_KEY || e.key === PROMOS_KEY) window.dispatchEvent(new Event('cartUpdated'));
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initForms);
+    } else {
+        initForms();
+    }
+
+    window.ShopPromos = {
+        TYPES,
+        list,
+        get,
+        create,
+        setActive,
+        recordUse,
+        statusOf,
+        describe,
+        evaluate,
+        getApplied,
+        apply,
+        clearApplied,
+        summarize
+    };
+})();
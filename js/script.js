@@ -5,7 +5,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Toggle header style after hero scroll
   const toggleHeader = () => {
     const threshold = Math.max(0, (hero?.offsetHeight || 120) - (header?.offsetHeight || 64));
-    header.classList.toggle('is-scrolled', window.scrollY > threshold);
+    header?.classList.toggle('is-scrolled', window.scrollY > threshold);
   };
   toggleHeader();
   document.addEventListener('scroll', toggleHeader, { passive: true });
@@ -33,15 +33,14 @@ document.addEventListener('DOMContentLoaded', () => {
     card.addEventListener('click', () => {
       const category = card.getAttribute('data-category');
       if (category) {
-        // Store selected category and redirect to catalog
-        localStorage.setItem('selectedCategory', category);
-        window.location.href = 'catalog.html';
+        window.location.href = 'catalog.html?category=' + encodeURIComponent(category);
       }
     });
   });
 
-  // Cart functionality
-  let cart = JSON.parse(localStorage.getItem('cart')) || [];
+  // Cart functionality (line items live in js/cart.js)
+  const Cart = window.ShopCart;
+  const formatPrice = (amount) => window.ShopPricing.format(amount);
 
   const cartIcon = document.getElementById('cartIcon');
   const cartSlide = document.getElementById('cartSlide');
@@ -52,6 +51,10 @@ document.addEventListener('DOMContentLoaded', () => {
   const cartCheckoutBtn = document.getElementById('cartCheckoutBtn');
   const addToCartBtns = document.querySelectorAll('.add-to-cart-btn');
 
+  const variantLabel = (variant) => (window.ShopProducts ? window.ShopProducts.variantLabel(variant) : '');
+
+  const escapeHtml = window.ShopUtils.escapeHtml;
+
   // Open cart
   const openCart = () => {
     cartSlide.classList.add('active');
@@ -67,66 +70,142 @@ document.addEventListener('DOMContentLoaded', () => {
     document.body.style.overflow = '';
   };
 
-  // Add to cart
-  const addToCart = (productName, price, imageSrc = 'images/necklace_1.png') => {
-    const existingItem = cart.find(item => item.name === productName);
+  // Briefly swap the button label ('Added!', 'Only 2 left', ...)
+  const flashButton = (btn, text, background, ms) => {
+    if (!btn) return;
+    const originalText = btn.dataset.label || btn.textContent;
+    btn.dataset.label = originalText;
+    btn.textContent = text;
+    btn.style.background = background;
+    clearTimeout(btn._flashTimer);
+    btn._flashTimer = setTimeout(() => {
+      btn.textContent = originalText;
+      btn.style.background = '';
+      delete btn.dataset.label;
+    }, ms);
+  };
 
-    if (existingItem) {
-      existingItem.quantity += 1;
-    } else {
-      cart.push({
-        name: productName,
-        price: parseFloat(price),
-        quantity: 1,
-        image: imageSrc
-      });
+  // Add to cart (the drawer and badge refresh on the cartUpdated event); refused beyond the stock on hand
+  const addToCart = (product, btn, variant = null) => {
+    const stock = Cart.check(product, 1, variant);
+    if (!stock.ok) {
+      flashButton(btn, stock.error, '#b91c1c', 1800);
+      return;
     }
-
-    localStorage.setItem('cart', JSON.stringify(cart));
-    updateCartDisplay();
+    Cart.add(product, 1, variant);
 
     // Show success animation
-    const btn = event.target;
-    const originalText = btn.textContent;
-    btn.textContent = 'Added!';
-    btn.style.background = '#28a745';
-    setTimeout(() => {
-      btn.textContent = originalText;
-      btn.style.background = '';
-    }, 1000);
+    flashButton(btn, 'Added!', '#28a745', 1000);
   };
 
-  // Remove from cart
-  const removeFromCart = (productName) => {
-    cart = cart.filter(item => item.name !== productName);
-    localStorage.setItem('cart', JSON.stringify(cart));
-    updateCartDisplay();
+  // One drawer line: price each, +/- stepper, line subtotal and remove button
+  const renderCartLine = (item) => {
+    const atStockLimit = item.stock != null && item.quantity >= item.stock;
+    const lowStock = window.ShopInventory && window.ShopInventory.status(item.stock) === 'low';
+    const controls = item.unavailable
+      ? `<div class="cart-item-note">${item.stock === 0 ? 'Sold out' : 'No longer available'}</div>`
+      : `<div class="cart-item-price">${formatPrice(item.price)} each</div>
+            <div class="cart-qty">
+              <button type="button" class="cart-qty-btn" data-cart-action="decrement" aria-label="Decrease quantity" ${item.quantity <= 1 ? 'disabled' : ''}>&minus;</button>
+              <span class="cart-qty-value">${item.quantity}</span>
+              <button type="button" class="cart-qty-btn" data-cart-action="increment" aria-label="Increase quantity" ${atStockLimit ? 'disabled' : ''}>+</button>
+            </div>
+            ${lowStock ? `<div class="cart-item-stock">Only ${item.stock} left</div>` : ''}`;
+
+    return `
+        <div class="cart-item${item.unavailable ? ' is-unavailable' : ''}" data-key="${escapeHtml(item.key)}">
+          <img src="${escapeHtml(window.ShopStore.src(item.image) || 'images/placeholder1.jpg')}" alt="${escapeHtml(item.name)}" class="cart-item-image">
+          <div class="cart-item-details">
+            <div class="cart-item-name">${escapeHtml(item.name)}</div>
+            ${item.variant ? `<div class="cart-item-variant">${escapeHtml(variantLabel(item.variant))}</div>` : ''}
+            ${controls}
+          </div>
+          ${item.unavailable ? '' : `<div class="cart-item-subtotal">${formatPrice(item.price * item.quantity)}</div>`}
+          <button type="button" class="cart-item-remove" data-cart-action="remove" aria-label="Remove ${escapeHtml(item.name)}">&times;</button>
+        </div>
+      `;
+  };
+
+  // Subtotal, promo discount and total (the breakdown only shows once a code takes something off)
+  const renderCartTotal = () => {
+    const totals = window.ShopPromos
+      ? window.ShopPromos.summarize(Cart.availableItems())
+      : { subtotal: Cart.subtotal(), discount: 0, total: Cart.subtotal() };
+    if (!totals.discount) {
+      cartTotal.textContent = `Total: ${formatPrice(totals.total)}`;
+      return;
+    }
+    cartTotal.innerHTML = `
+        <div class="cart-total-row"><span>Subtotal</span><span>${formatPrice(totals.subtotal)}</span></div>
+        <div class="cart-total-row cart-discount"><span>Discount (${escapeHtml(totals.discountCode)})</span><span>&minus;${formatPrice(totals.discount)}</span></div>
+        <div class="cart-total-row cart-grand-total"><span>Total</span><span>${formatPrice(totals.total)}</span></div>
+      `;
   };
 
   // Update cart display
   const updateCartDisplay = () => {
     if (!cartItems) return;
+    const lines = Cart.items();
 
-    if (cart.length === 0) {
+    if (lines.length === 0) {
       cartItems.innerHTML = '<div class="empty-cart"><p>Your cart is empty</p></div>';
-      cartTotal.textContent = 'Total: $0';
+      cartTotal.textContent = `Total: ${formatPrice(0)}`;
     } else {
-      cartItems.innerHTML = cart.map(item => `
-        <div class="cart-item">
-          <img src="${item.image}" alt="${item.name}" class="cart-item-image">
-          <div class="cart-item-details">
-            <div class="cart-item-name">${item.name}</div>
-            <div class="cart-item-price">$${item.price.toFixed(2)} x ${item.quantity}</div>
-          </div>
-          <button class="cart-item-remove" onclick="removeFromCart('${item.name}')">&times;</button>
-        </div>
-      `).join('');
-
-      const total = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      cartTotal.textContent = `Total: $${total.toFixed(2)}`;
+      cartItems.innerHTML = lines.map(renderCartLine).join('');
+      renderCartTotal();
     }
+
+    if (cartCheckoutBtn) cartCheckoutBtn.disabled = Cart.availableItems().length === 0;
   };
 
+  // Quantity steppers and remove buttons inside the drawer
+  cartItems?.addEventListener('click', (ev) => {
+    const btn = ev.target.closest('[data-cart-action]');
+    if (!btn) return;
+    const line = btn.closest('.cart-item');
+    const key = line && line.dataset.key;
+    const item = key && Cart.items().find(l => l.key === key);
+    if (!item) return;
+
+    const action = btn.dataset.cartAction;
+    if (action === 'increment') Cart.setQuantity(key, item.quantity + 1);
+    if (action === 'decrement') Cart.setQuantity(key, Math.max(1, item.quantity - 1));
+    if (action === 'remove') Cart.remove(key);
+  });
+
+  // Flag cart lines whose product has been removed from the catalog
+  const reconcileCart = async () => {
+    if (!window.ShopProducts) return;
+    const { products, catalogLoaded } = await window.ShopProducts.loadAll();
+    if (!catalogLoaded) return; // offline: without the shared catalog we can't tell what's missing
+    Cart.reconcile(products);
+  };
+  reconcileCart();
+  // stock moved (an order was verified or cancelled): re-check quantities against what is left
+  window.addEventListener('stockUpdated', reconcileCart);
+
+  // Item count on every cart icon
+  const updateCartBadge = () => {
+    const count = Cart.count();
+    document.querySelectorAll('[data-cart-count]').forEach(badge => {
+      badge.textContent = count > 99 ? '99+' : String(count);
+      badge.hidden = count === 0;
+      badge.setAttribute('aria-label', `${count} item${count === 1 ? '' : 's'} in cart`);
+    });
+  };
+  updateCartBadge();
+
+  // cartUpdated fires for changes in this tab and, via the storage event, in other tabs
+  window.addEventListener('cartUpdated', () => {
+    updateCartDisplay();
+    updateCartBadge();
+    // a line added in another tab may show a picture this page hasn't read
+    window.ShopStore.loadImages(Cart.items()).then(updateCartDisplay);
+  });
+  window.addEventListener('currencyChanged', updateCartDisplay);
+  // uploaded pictures (js/store.js) can be shown once they have been read
+  window.ShopStore.loadImages(Cart.items()).then(updateCartDisplay);
+
   // Generic cart handling so it works on any page (catalog, product, index, ...)
   const CART_OPEN_CLASS = 'cart-open';
   const body = document.body;
@@ -172,7 +251,7 @@ document.addEventListener('DOMContentLoaded', () => {
   cartOverlay?.addEventListener('click', closeCart);
 
   cartCheckoutBtn?.addEventListener('click', () => {
-    if (cart.length > 0) {
+    if (Cart.availableItems().length > 0) {
       window.location.href = 'checkout.html';
     }
   });
@@ -180,12 +259,24 @@ document.addEventListener('DOMContentLoaded', () => {
   addToCartBtns.forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.preventDefault();
-      const productName = btn.getAttribute('data-product');
-      const price = btn.getAttribute('data-price');
-      addToCart(productName, price);
+      const id = btn.getAttribute('data-product-id');
+      if (!id) {
+        console.warn('[cart] add-to-cart button has no data-product-id', btn);
+        return;
+      }
+      if (btn.disabled) return;
+      // product pages with variants put the chosen options on the button as JSON
+      let variant = null;
+      try { variant = btn.dataset.variant ? JSON.parse(btn.dataset.variant) : null; } catch { variant = null; }
+      addToCart({
+        id,
+        name: btn.getAttribute('data-product'),
+        price: btn.getAttribute('data-price'),
+        image: btn.getAttribute('data-image'),
+        category: btn.getAttribute('data-category'),
+        sku: btn.getAttribute('data-sku'),
+        stock: btn.getAttribute('data-stock')
+      }, btn, variant);
     });
   });
-
-  // Make removeFromCart globally available
-  window.removeFromCart = removeFromCart;
 });
\ No newline at end of file
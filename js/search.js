@@ -0,0 +1,188 @@
+// Client-side product search: a small index over title, description, category and tags with
+// typo tolerance ("braclet" -> bracelet), synonyms ("chain" -> necklaces) and relevance ranking.
+// Works on canonical products (js/products.js). Exposed as window.ShopSearch.
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'to', 'by']);
+
+    // query word -> words it should also find (stemmed like every other word)
+    const SYNONYMS = {
+        chain: ['necklace'],
+        pendant: ['necklace'],
+        choker: ['necklace'],
+        locket: ['necklace'],
+        band: ['ring'],
+        engagement: ['ring'],
+        wedding: ['ring'],
+        bangle: ['bracelet'],
+        cuff: ['bracelet'],
+        anklet: ['bracelet'],
+        stud: ['earring'],
+        hoop: ['earring'],
+        drop: ['earring'],
+        gold: ['golden'],
+        golden: ['gold']
+    };
+
+    // where a word was found counts towards the ranking
+    const FIELD_WEIGHTS = { title: 3, tags: 2, category: 2, description: 1 };
+
+    // how a query word matched an indexed word
+    const QUALITY = { exact: 1, prefix: 0.8, synonym: 0.7, fuzzy: 0.6 };
+
+    // plural -> singular, enough for "necklaces", "earrings", "accessories"
+    function stem(word) {
+        if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.length > 4 && /(s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+    }
+
+    function normalizeWord(word) {
+        return stem(String(word).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase());
+    }
+
+    function tokenize(text) {
+        return (String(text || '').match(/[a-z0-9\u00c0-\u024f]+/gi) || [])
+            .map(normalizeWord)
+            .filter(word => word && !STOPWORDS.has(word));
+    }
+
+    const STEMMED_SYNONYMS = new Map(Object.entries(SYNONYMS).map(([word, list]) => [normalizeWord(word), list.map(normalizeWord)]));
+
+    // optimal string alignment distance (Levenshtein plus adjacent swaps); gives up above `max`
+    function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+            for (let j = 1; j <= b.length; j++) {
+                if (i === 0) { rows[0][j] = j; continue; }
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+                rows[i][j] = d;
+            }
+            if (i > 0 && Math.min(...rows[i]) > max) return max + 1;
+        }
+        return rows[a.length][b.length];
+    }
+
+    // short words must be exact: "ring" is not a typo for "rang"
+    function allowedTypos(word) {
+        if (word.length <= 3) return 0;
+        return word.length <= 5 ? 1 : 2;
+    }
+
+    // --- index ---
+    // products array -> { vocabulary: Map(word -> Map(productIndex -> best field weight)) }
+    const indexes = new WeakMap();
+
+    function buildIndex(products) {
+        const vocabulary = new Map();
+        products.forEach((product, i) => {
+            const fields = {
+                title: product.title,
+                tags: (product.tags || []).join(' '),
+                category: product.category ? product.category.name : '',
+                description: product.description
+            };
+            Object.entries(fields).forEach(([field, text]) => {
+                tokenize(text).forEach(word => {
+                    if (!vocabulary.has(word)) vocabulary.set(word, new Map());
+                    const postings = vocabulary.get(word);
+                    postings.set(i, Math.max(postings.get(i) || 0, FIELD_WEIGHTS[field]));
+                });
+            });
+        });
+        return { vocabulary };
+    }
+
+    function indexFor(products) {
+        let index = indexes.get(products);
+        if (!index) {
+            index = buildIndex(products);
+            indexes.set(products, index);
+        }
+        return index;
+    }
+
+    // indexed words a single query word matches, with the match quality
+    function expand(queryWord, vocabulary) {
+        const synonyms = STEMMED_SYNONYMS.get(queryWord) || [];
+        const typos = allowedTypos(queryWord);
+        const matches = [];
+        vocabulary.forEach((postings, word) => {
+            let quality = 0;
+            if (word === queryWord) quality = QUALITY.exact;
+            else if (queryWord.length >= 2 && word.startsWith(queryWord)) quality = QUALITY.prefix;
+            else if (synonyms.includes(word)) quality = QUALITY.synonym;
+            // typos rarely hit the first letter, and requiring it keeps "earing" from finding "ring"
+            else if (typos && word[0] === queryWord[0]) {
+                const d = distance(queryWord, word, typos);
+                if (d <= typos) quality = QUALITY.fuzzy - (d - 1) * 0.1;
+            }
+            if (quality) matches.push({ word, quality, postings });
+        });
+        return matches;
+    }
+
+    // products matching every word of `query`, best first: [{ product, score, terms }]
+    // `terms` is the set of indexed words that matched, for highlight()
+    function search(products, query) {
+        const queryWords = Array.from(new Set(tokenize(query)));
+        if (!queryWords.length || !Array.isArray(products) || !products.length) return [];
+        const { vocabulary } = indexFor(products);
+
+        let results = null; // productIndex -> { score, terms }
+        for (const queryWord of queryWords) {
+            const hits = new Map();
+            expand(queryWord, vocabulary).forEach(({ word, quality, postings }) => {
+                postings.forEach((weight, i) => {
+                    const hit = hits.get(i) || { score: 0, terms: new Set() };
+                    hit.score = Math.max(hit.score, quality * weight);
+                    hit.terms.add(word);
+                    hits.set(i, hit);
+                });
+            });
+            if (!results) {
+                results = hits;
+            } else {
+                // every query word has to match somewhere
+                results.forEach((result, i) => {
+                    const hit = hits.get(i);
+                    if (!hit) { results.delete(i); return; }
+                    result.score += hit.score;
+                    hit.terms.forEach(t => result.terms.add(t));
+                });
+            }
+            if (!results.size) return [];
+        }
+
+        return Array.from(results, ([i, { score, terms }]) => ({ product: products[i], score, terms }))
+            .sort((a, b) => b.score - a.score || a.product.title.localeCompare(b.product.title));
+    }
+
+    // escaped `text` with the words in `terms` (from search()) wrapped in <mark>
+    function highlight(text, terms) {
+        const source = String(text || '');
+        if (!terms || !terms.size) return escapeHtml(source);
+        let html = '';
+        let last = 0;
+        source.replace(/[a-z0-9\u00c0-\u024f]+/gi, (word, offset) => {
+            if (!terms.has(normalizeWord(word))) return word;
+            html += escapeHtml(source.slice(last, offset)) + `<mark>${escapeHtml(word)}</mark>`;
+            last = offset + word.length;
+            return word;
+        });
+        return html + escapeHtml(source.slice(last));
+    }
+
+    window.ShopSearch = {
+        SYNONYMS,
+        tokenize,
+        search,
+        highlight
+    };
+})();
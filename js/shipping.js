@@ -0,0 +1,107 @@
+// Delivery fees: per-district rates, free delivery above a threshold, in-store pickup and insured courier
+// for high-value orders. Settings are edited in the admin Delivery tab (localStorage 'shipping-settings').
+// Exposed as window.ShopShipping.
+
+(function () {
+    const SETTINGS_KEY = 'shipping-settings';
+
+    const DISTRICTS = [
+        'Ampara', 'Anuradhapura', 'Badulla', 'Batticaloa', 'Colombo', 'Galle', 'Gampaha', 'Hambantota',
+        'Jaffna', 'Kalutara', 'Kandy', 'Kegalle', 'Kilinochchi', 'Kurunegala', 'Mannar', 'Matale', 'Matara',
+        'Monaragala', 'Mullaitivu', 'Nuwara Eliya', 'Polonnaruwa', 'Puttalam', 'Ratnapura', 'Trincomalee', 'Vavuniya'
+    ];
+
+    const METHODS = {
+        standard: 'Standard delivery',
+        insured: 'Insured courier',
+        pickup: 'In-store pickup'
+    };
+
+    // all amounts in LKR
+    const DEFAULT_RATE = 600;
+    const DEFAULTS = {
+        rates: { Colombo: 350, Gampaha: 400, Kalutara: 400 },
+        freeAbove: 100000,
+        pickup: { enabled: true, location: 'ASHADI showroom, Colombo' },
+        // insured courier: district rate plus a percentage of the order value; orders at or above
+        // `requiredAbove` can only go insured (or be picked up)
+        insured: { enabled: true, percent: 1, minFee: 1000, requiredAbove: 250000 }
+    };
+
+    function safeParse(raw) {
+        try { return raw ? JSON.parse(raw) : null; } catch { return null; }
+    }
+
+    function getSettings() {
+        const saved = safeParse(localStorage.getItem(SETTINGS_KEY)) || {};
+        const rates = {};
+        DISTRICTS.forEach(d => {
+            const rate = saved.rates && saved.rates[d] != null ? saved.rates[d] : DEFAULTS.rates[d];
+            rates[d] = Number.isFinite(Number(rate)) && rate !== '' ? Number(rate) : DEFAULT_RATE;
+        });
+        return {
+            rates,
+            freeAbove: saved.freeAbove != null ? Number(saved.freeAbove) || 0 : DEFAULTS.freeAbove,
+            pickup: { ...DEFAULTS.pickup, ...(saved.pickup || {}) },
+            insured: { ...DEFAULTS.insured, ...(saved.insured || {}) }
+        };
+    }
+
+    function saveSettings(settings) {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        window.dispatchEvent(new Event('shippingUpdated'));
+        return getSettings();
+    }
+
+    // methods the customer may choose for an order worth `subtotal` (after discounts)
+    function availableMethods(subtotal, settings = getSettings()) {
+        const methods = [];
+        const needsInsurance = settings.insured.enabled && settings.insured.requiredAbove && subtotal >= settings.insured.requiredAbove;
+        if (!needsInsurance) methods.push('standard');
+        if (settings.insured.enabled) methods.push('insured');
+        if (settings.pickup.enabled) methods.push('pickup');
+        return methods;
+    }
+
+    function insuranceFee(subtotal, settings) {
+        const { percent, minFee } = settings.insured;
+        return Math.round(Math.max(Number(minFee) || 0, subtotal * (Number(percent) || 0) / 100));
+    }
+
+    // works out the delivery fee; never throws
+    // returns { ok, error, method, district, fee, free, label }
+    function quote({ district, method, subtotal }) {
+        const settings = getSettings();
+        const fail = (error) => ({ ok: false, error, method, district, fee: 0, free: false, label: METHODS[method] || '' });
+        if (!METHODS[method]) return fail('Please choose a delivery method.');
+        if (!availableMethods(subtotal, settings).includes(method)) {
+            return fail(method === 'standard'
+                ? 'Orders of this value are sent by insured courier.'
+                : `${METHODS[method]} is not available.`);
+        }
+        if (method === 'pickup') {
+            return { ok: true, error: '', method, district: '', fee: 0, free: false, label: METHODS.pickup };
+        }
+        if (!DISTRICTS.includes(district)) return fail('Please choose your district.');
+
+        // free delivery waives the district rate; insurance is still charged
+        const free = !!settings.freeAbove && subtotal >= settings.freeAbove;
+        let fee = free ? 0 : settings.rates[district];
+        if (method === 'insured') fee += insuranceFee(subtotal, settings);
+        return { ok: true, error: '', method, district, fee, free, label: `${METHODS[method]}, ${district}` };
+    }
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === SETTINGS_KEY) window.dispatchEvent(new Event('shippingUpdated'));
+    });
+
+    window.ShopShipping = {
+        DISTRICTS,
+        METHODS,
+        DEFAULT_RATE,
+        getSettings,
+        saveSettings,
+        availableMethods,
+        quote
+    };
+})();
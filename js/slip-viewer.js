@@ -0,0 +1,185 @@
+// Payment slip viewer for the admin panel: MIME-aware thumbnails and a full-size lightbox
+// with zoom and rotate. Images and PDFs are both supported; PDFs get a first-page thumbnail
+// when pdf.js (window.pdfjsLib) is on the page and a PDF icon otherwise.
+// Exposed as window.SlipViewer.
+
+(function () {
+    const escapeHtml = window.ShopUtils.escapeHtml;
+    const EXTENSIONS = { 'application/pdf': 'pdf', 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+    // where the slip file can be loaded from: stored files ('idb:' refs, js/store.js) become object URLs
+    function fileUrl(slip) {
+        const url = String(slip.slipUrl || '');
+        return window.ShopStore ? window.ShopStore.src(url) : url;
+    }
+
+    // checkout records slipType; older slips only have the URL (dataURL prefix or file extension) or the stored file
+    function mimeOf(slip) {
+        if (slip.slipType) return slip.slipType;
+        const stored = window.ShopStore && window.ShopStore.blob(slip.slipUrl);
+        if (stored && stored.type) return stored.type;
+        const url = String(slip.slipUrl || '');
+        const match = url.match(/^data:([^;,]+)[;,]/);
+        if (match) return match[1];
+        if (/\.pdf($|\?)/i.test(url)) return 'application/pdf';
+        return 'image/*';
+    }
+
+    function isPdf(slip) { return mimeOf(slip) === 'application/pdf'; }
+
+    function downloadName(slip) {
+        const ext = EXTENSIONS[mimeOf(slip)] || (isPdf(slip) ? 'pdf' : 'jpg');
+        return `slip-${slip.id || ''}.${ext}`;
+    }
+
+    // browsers won't show PDFs from data: URLs in frames, so hand them a blob: URL instead
+    const blobUrls = new Map();
+    function viewableUrl(slip) {
+        const url = fileUrl(slip);
+        if (!url.startsWith('data:')) return url;
+        if (blobUrls.has(url)) return blobUrls.get(url);
+        try {
+            const [meta, data] = url.split(',');
+            const bytes = meta.includes(';base64') ? atob(data) : decodeURIComponent(data);
+            const arr = new Uint8Array(bytes.length);
+            for (let i = 0; i < bytes.length; i++) arr[i] = bytes.charCodeAt(i);
+            const blobUrl = URL.createObjectURL(new Blob([arr], { type: mimeOf(slip) }));
+            blobUrls.set(url, blobUrl);
+            return blobUrl;
+        } catch (err) {
+            console.warn('[slip-viewer] could not convert slip to a blob URL', err);
+            return url;
+        }
+    }
+
+    // --- thumbnails ---
+    function thumbnail(slip) {
+        const label = `Open payment slip ${escapeHtml(slip.id)}`;
+        if (!isPdf(slip)) {
+            return `<button type="button" class="slip-open" data-slip-id="${escapeHtml(slip.id)}" aria-label="${label}">
+            <img src="${escapeHtml(fileUrl(slip))}" alt="payment slip" class="slip-thumb" />
+          </button>`;
+        }
+        return `<button type="button" class="slip-open" data-slip-id="${escapeHtml(slip.id)}" aria-label="${label}">
+            <span class="slip-thumb slip-thumb-pdf" data-pdf-thumb="${escapeHtml(slip.id)}">PDF</span>
+          </button>`;
+    }
+
+    // upgrades PDF icons inside `root` to first-page renders when pdf.js is available
+    function renderPdfThumbnails(root, slips) {
+        const pdfjs = window.pdfjsLib;
+        if (!pdfjs || !root) return;
+        root.querySelectorAll('[data-pdf-thumb]').forEach(async (placeholder) => {
+            const slip = slips.find(s => String(s.id) === placeholder.dataset.pdfThumb);
+            if (!slip) return;
+            try {
+                const pdf = await pdfjs.getDocument(viewableUrl(slip)).promise;
+                const page = await pdf.getPage(1);
+                const base = page.getViewport({ scale: 1 });
+                const viewport = page.getViewport({ scale: 140 / base.width });
+                const canvas = document.createElement('canvas');
+                canvas.width = viewport.width;
+                canvas.height = viewport.height;
+                canvas.className = 'slip-thumb';
+                await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+                placeholder.replaceWith(canvas);
+            } catch (err) {
+                console.warn('[slip-viewer] PDF thumbnail failed, keeping icon', err);
+            }
+        });
+    }
+
+    // --- lightbox ---
+    let lightbox = null;
+    let state = { zoom: 1, rotate: 0 };
+
+    function ensureLightbox() {
+        if (lightbox) return lightbox;
+        lightbox = document.createElement('div');
+        lightbox.className = 'slip-lightbox';
+        lightbox.hidden = true;
+        lightbox.setAttribute('role', 'dialog');
+        lightbox.setAttribute('aria-modal', 'true');
+        lightbox.setAttribute('aria-label', 'Payment slip');
+        lightbox.innerHTML = `
+      <div class="slip-lightbox-toolbar">
+        <button type="button" class="btn-small" data-viewer="zoom-out" aria-label="Zoom out">&minus;</button>
+        <span class="slip-lightbox-zoom">100%</span>
+        <button type="button" class="btn-small" data-viewer="zoom-in" aria-label="Zoom in">+</button>
+        <button type="button" class="btn-small" data-viewer="rotate" aria-label="Rotate">&#8635;</button>
+        <button type="button" class="btn-small" data-viewer="reset">Reset</button>
+        <a class="download-slip" data-viewer="download">Download</a>
+        <button type="button" class="btn-small" data-viewer="close" aria-label="Close">&times;</button>
+      </div>
+      <div class="slip-lightbox-stage"></div>
+    `;
+        lightbox.addEventListener('click', (ev) => {
+            const action = ev.target.closest('[data-viewer]');
+            if (ev.target === lightbox) { close(); return; }
+            if (!action) return;
+            switch (action.dataset.viewer) {
+                case 'zoom-in': setZoom(state.zoom + 0.25); break;
+                case 'zoom-out': setZoom(state.zoom - 0.25); break;
+                case 'rotate': state.rotate = (state.rotate + 90) % 360; applyTransform(); break;
+                case 'reset': state = { zoom: 1, rotate: 0 }; applyTransform(); break;
+                case 'close': close(); break;
+                default: break;
+            }
+        });
+        document.addEventListener('keydown', (ev) => {
+            if (!lightbox || lightbox.hidden) return;
+            if (ev.key === 'Escape') close();
+            if (ev.key === '+' || ev.key === '=') setZoom(state.zoom + 0.25);
+            if (ev.key === '-') setZoom(state.zoom - 0.25);
+            if (ev.key === 'r' || ev.key === 'R') { state.rotate = (state.rotate + 90) % 360; applyTransform(); }
+        });
+        document.body.appendChild(lightbox);
+        return lightbox;
+    }
+
+    function setZoom(zoom) {
+        state.zoom = Math.min(4, Math.max(0.25, zoom));
+        applyTransform();
+    }
+
+    function applyTransform() {
+        const media = lightbox.querySelector('.slip-lightbox-media');
+        if (media) media.style.transform = `scale(${state.zoom}) rotate(${state.rotate}deg)`;
+        lightbox.querySelector('.slip-lightbox-zoom').textContent = `${Math.round(state.zoom * 100)}%`;
+    }
+
+    function open(slip) {
+        if (!slip) return;
+        ensureLightbox();
+        state = { zoom: 1, rotate: 0 };
+        const stage = lightbox.querySelector('.slip-lightbox-stage');
+        stage.innerHTML = isPdf(slip)
+            ? `<iframe class="slip-lightbox-media slip-lightbox-pdf" src="${escapeHtml(viewableUrl(slip))}" title="Payment slip PDF"></iframe>`
+            : `<img class="slip-lightbox-media" src="${escapeHtml(fileUrl(slip))}" alt="Payment slip" />`;
+        const download = lightbox.querySelector('[data-viewer="download"]');
+        download.href = fileUrl(slip);
+        download.setAttribute('download', downloadName(slip));
+        applyTransform();
+        lightbox.hidden = false;
+        document.body.style.overflow = 'hidden';
+        lightbox.querySelector('[data-viewer="close"]').focus();
+    }
+
+    function close() {
+        if (!lightbox) return;
+        lightbox.hidden = true;
+        lightbox.querySelector('.slip-lightbox-stage').innerHTML = '';
+        document.body.style.overflow = '';
+    }
+
+    window.SlipViewer = {
+        fileUrl,
+        mimeOf,
+        isPdf,
+        downloadName,
+        thumbnail,
+        renderPdfThumbnails,
+        open,
+        close
+    };
+})();
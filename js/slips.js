@@ -0,0 +1,179 @@
+// Payment slips ('payment_slips' in js/store.js): upload at checkout, re-upload after a rejection,
+// and the cashier's approve/reject review. Keeps the linked order's status in step via window.ShopOrders.
+// Exposed as window.ShopSlips; fires `slipsUpdated` on window whenever a slip is saved.
+
+(function () {
+    const SLIPS_KEY = 'payment_slips';
+    const MAX_SLIP_BYTES = 3 * 1024 * 1024; // 3 MB
+
+    const REVIEW_STATUSES = {
+        pending: 'Awaiting review',
+        approved: 'Approved',
+        rejected: 'Rejected'
+    };
+
+    // slips saved before the review workflow only had a `verified` flag
+    function normalize(slip) {
+        return {
+            ...slip,
+            status: slip.status || (slip.verified ? 'approved' : 'pending'),
+            history: Array.isArray(slip.history) ? slip.history : []
+        };
+    }
+
+    // the slip file is an 'idb:' ref (or an older data URL); show it through ShopStore.src
+    function list() { return window.ShopStore.get(SLIPS_KEY).map(normalize); }
+    function get(id) { return list().find(s => String(s.id) === String(id)) || null; }
+    function forOrder(orderId) { return list().filter(s => s.orderId === orderId); }
+
+    // throws when the store couldn't keep the change (it has already gone back to the last saved copy)
+    async function saveAll(slips) {
+        if (!(await window.ShopStore.set(SLIPS_KEY, slips))) {
+            const error = new Error('The payment slip could not be saved in this browser.');
+            error.name = 'SlipSaveError';
+            throw error;
+        }
+        window.dispatchEvent(new Event('slipsUpdated'));
+    }
+
+    async function update(id, changes) {
+        const slips = list();
+        const idx = slips.findIndex(s => String(s.id) === String(id));
+        if (idx === -1) throw new Error(`Slip ${id} not found`);
+        slips[idx] = { ...slips[idx], ...changes };
+        await saveAll(slips);
+        return slips[idx];
+    }
+
+    // --- upload ---
+    // large photos of a bank slip are scaled down; PDFs and small images are kept as-is
+    const SLIP_IMAGE = { maxWidth: 1600, maxHeight: 1600, quality: 0.8, threshold: 300 * 1024 };
+
+    // returns an error message, or '' when the file can be used as a slip
+    function validateFile(file) {
+        if (!file) return 'Please upload your payment slip.';
+        if (!(file.type.startsWith('image/') || file.type === 'application/pdf')) return 'The payment slip must be an image or a PDF.';
+        if (file.size > MAX_SLIP_BYTES) return 'The payment slip must be smaller than 3 MB.';
+        return '';
+    }
+
+    // stores a slip against an existing order and moves the order to "slip submitted"
+    async function submit(orderId, file) {
+        const Orders = window.ShopOrders;
+        const order = Orders.get(orderId);
+        if (!order) throw new Error(`Order ${orderId} not found`);
+        await window.ShopStore.ready;
+
+        // a large photo is stored as a JPEG (js/store.js resizeImage)
+        const stored = await window.ShopStore.resizeImage(file, SLIP_IMAGE);
+        const now = Date.now();
+        const customer = order.customer || {};
+        const slip = {
+            id: 'slip-' + now,
+            orderId,
+            name: customer.name,
+            amount: order.totals.total,
+            phone: customer.phone,
+            email: customer.email,
+            slipUrl: await window.ShopStore.saveImage(stored),
+            slipType: typeof stored === 'string' ? 'image/jpeg' : file.type,
+            status: 'pending',
+            verified: false,
+            submittedAt: now,
+            history: [{ action: 'submitted', by: 'customer', at: now, note: '' }]
+        };
+
+        const slips = list();
+        slips.unshift(slip);
+        try {
+            await saveAll(slips);
+        } catch (err) {
+            // no slip record points at the stored file
+            window.ShopStore.removeImage(slip.slipUrl);
+            throw err;
+        }
+        Orders.attachSlip(orderId, slip.id);
+        return slip;
+    }
+
+    // --- review ---
+    function amountMatches(slip, amountPaid) {
+        const order = window.ShopOrders.get(slip.orderId);
+        const expected = order ? Number(order.totals.total) : Number(slip.amount);
+        return Math.abs((Number(amountPaid) || 0) - (Number(expected) || 0)) < 0.01;
+    }
+
+    // a review decision only moves orders that are still waiting on payment
+    function assertOrderReviewable(slip) {
+        const order = window.ShopOrders.get(slip.orderId);
+        if (!order) return null;
+        if (!['pending_payment', 'slip_submitted'].includes(order.status)) {
+            const label = window.ShopOrders.STATUSES[order.status] || order.status;
+            throw new Error(`Order ${order.id} is already ${label}. Change it from the Orders tab instead.`);
+        }
+        return order;
+    }
+
+    async function approve(id, { by = 'admin', amountPaid = null, note = '' } = {}) {
+        const slip = get(id);
+        if (!slip) throw new Error(`Slip ${id} not found`);
+        const order = assertOrderReviewable(slip);
+
+        const now = Date.now();
+        const matches = amountPaid == null ? null : amountMatches(slip, amountPaid);
+        const saved = await update(id, {
+            status: 'approved',
+            verified: true,
+            amountPaid,
+            amountMatches: matches,
+            note,
+            rejectReason: '',
+            reviewedBy: by,
+            reviewedAt: now,
+            history: [...slip.history, { action: 'approved', by, at: now, note, amountPaid }]
+        });
+
+        if (order) {
+            const Orders = window.ShopOrders;
+            if (order.status === 'pending_payment') Orders.setStatus(order.id, 'slip_submitted', 'Payment slip uploaded');
+            Orders.setStatus(order.id, 'verified', `Slip approved by ${by}${note ? ': ' + note : ''}`);
+        }
+        return saved;
+    }
+
+    async function reject(id, { by = 'admin', reason, note = '' } = {}) {
+        if (!reason) throw new Error('A reason is required to reject a slip');
+        const slip = get(id);
+        if (!slip) throw new Error(`Slip ${id} not found`);
+        const order = assertOrderReviewable(slip);
+
+        const now = Date.now();
+        const saved = await update(id, {
+            status: 'rejected',
+            verified: false,
+            rejectReason: reason,
+            note,
+            reviewedBy: by,
+            reviewedAt: now,
+            history: [...slip.history, { action: 'rejected', by, at: now, note: reason + (note ? ` (${note})` : '') }]
+        });
+
+        // the customer can upload a new slip against the same order
+        if (order && order.status === 'slip_submitted') {
+            window.ShopOrders.setStatus(order.id, 'pending_payment', `Slip rejected: ${reason}`);
+        }
+        return saved;
+    }
+
+    window.ShopSlips = {
+        REVIEW_STATUSES,
+        list,
+        get,
+        forOrder,
+        validateFile,
+        submit,
+        amountMatches,
+        approve,
+        reject
+    };
+})();
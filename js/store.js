@@ -0,0 +1,460 @@
+// Admin data (products, categories, payment slips) and uploaded pictures, kept in IndexedDB.
+// localStorage only holds about 5 MB per site, which a handful of base64 images used up; IndexedDB is limited by
+// the browser's disk quota and keeps pictures as Blobs. Records refer to a stored picture as 'idb:<key>' and
+// ShopStore.src(value) turns that into a URL an <img> or link can use (other values pass through).
+// Collections are read into memory once per page (ShopStore.ready), so reads stay synchronous; writes update
+// memory at once and are saved in the background, merged by id with what other tabs saved meanwhile.
+// A failed save never removes anything: the last saved copy is read back, and `storeFailed` is fired on window
+// with { key, error } so the admin can say so.
+// Pictures are only read when a page asks for them (ShopStore.loadImages(records) before rendering those records).
+// A picture no saved record uses any more is deleted with ShopStore.removeImage(ref).
+// Records still in localStorage (from before this change, or written by a browser without IndexedDB) are moved
+// over on load, merged by id, and only removed from localStorage once IndexedDB has them.
+// Without IndexedDB everything stays in localStorage as before, and pictures stay data URLs.
+// Other tabs hear about saves and fire the same events the saving tab did:
+// localProductsUpdated, localCategoriesUpdated, slipsUpdated.
+// Exposed as window.ShopStore.
+
+(function () {
+    const DB_NAME = 'luxury-boutique';
+    const DB_VERSION = 1;
+    const IMAGE_PREFIX = 'idb:';
+    const LOCAL_QUOTA = 5 * 1024 * 1024; // the usual localStorage limit, for the usage meter without IndexedDB
+
+    // collection key -> event fired when it changes
+    const COLLECTIONS = {
+        'local-products': 'localProductsUpdated',
+        'local-categories': 'localCategoriesUpdated',
+        'payment_slips': 'slipsUpdated'
+    };
+
+    const cache = {};               // collection key -> records, once loaded
+    const base = {};                // collection key -> records as last read from or written to storage
+    const images = new Map();       // image key -> { blob, url }
+    let db = null;                  // IDBDatabase; null until opened, or when IndexedDB can't be used
+    const channel = 'BroadcastChannel' in window ? new BroadcastChannel('shop-store') : null;
+
+    function safeParse(raw) {
+        try {
+            const value = raw ? JSON.parse(raw) : [];
+            return Array.isArray(value) ? value : [];
+        } catch { return []; }
+    }
+
+    const copy = (records) => JSON.parse(JSON.stringify(records));
+
+    // --- IndexedDB plumbing ---
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+        });
+    }
+
+    function openDb() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) return reject(new Error('IndexedDB is not available'));
+            const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const upgrade = req.result;
+                if (!upgrade.objectStoreNames.contains('collections')) upgrade.createObjectStore('collections');
+                if (!upgrade.objectStoreNames.contains('images')) upgrade.createObjectStore('images');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => console.warn('[store] waiting for another tab to close the old database');
+        });
+    }
+
+    // --- pictures ---
+    const DATA_URL = /^data:[\w.+-]+\/[\w.+-]+[;,]/;
+
+    function isRef(value) { return typeof value === 'string' && value.startsWith(IMAGE_PREFIX); }
+
+    function newImageKey() {
+        return `img-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function dataUrlToBlob(url) {
+        const comma = url.indexOf(',');
+        const meta = url.slice(5, comma);
+        const data = url.slice(comma + 1);
+        const bytes = meta.includes(';base64') ? atob(data) : decodeURIComponent(data);
+        const arr = new Uint8Array(bytes.length);
+        for (let i = 0; i < bytes.length; i++) arr[i] = bytes.charCodeAt(i);
+        return new Blob([arr], { type: meta.split(';')[0] });
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function remember(key, blob) {
+        if (!images.has(key)) images.set(key, { blob, url: URL.createObjectURL(blob) });
+    }
+
+    function forget(key) {
+        const image = images.get(key);
+        if (!image) return;
+        URL.revokeObjectURL(image.url);
+        images.delete(key);
+    }
+
+    // image keys of the 'idb:' refs anywhere in `records`
+    function refKeys(records) {
+        const refs = JSON.stringify(records === undefined ? null : records).match(/"idb:[^"]+"/g) || [];
+        return Array.from(new Set(refs.map(ref => JSON.parse(ref).slice(IMAGE_PREFIX.length))));
+    }
+
+    // every string in a record (nested arrays and objects too) passed through fn
+    function mapStrings(value, fn) {
+        if (typeof value === 'string') return fn(value);
+        if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+        }
+        return value;
+    }
+
+    // data URLs in `records` -> { records with 'idb:' refs, blobs: Map(image key -> Blob) }; the same picture is stored once
+    function extractImages(records) {
+        const keys = new Map(); // data URL -> image key
+        const blobs = new Map();
+        const converted = mapStrings(records, (value) => {
+            if (!DATA_URL.test(value)) return value;
+            if (!keys.has(value)) {
+                try {
+                    const key = newImageKey();
+                    blobs.set(key, dataUrlToBlob(value));
+                    keys.set(value, key);
+                } catch (err) {
+                    console.warn('[store] unreadable data URL left as it is', err);
+                    return value;
+                }
+            }
+            return IMAGE_PREFIX + keys.get(value);
+        });
+        return { records: converted, blobs };
+    }
+
+    // a URL for a stored value: object URLs for 'idb:' refs ('' when the picture is missing or not read yet,
+    // see loadImages), anything else unchanged
+    function src(value) {
+        if (!isRef(value)) return value || '';
+        const image = images.get(value.slice(IMAGE_PREFIX.length));
+        return image ? image.url : '';
+    }
+
+    // the Blob behind an 'idb:' ref, or null
+    function blob(value) {
+        if (!isRef(value)) return null;
+        const image = images.get(value.slice(IMAGE_PREFIX.length));
+        return image ? image.blob : null;
+    }
+
+    // an uploaded photo larger than `threshold` bytes scaled down to fit maxWidth x maxHeight, as a JPEG data URL;
+    // other files (PDFs, small images, pictures the browser can't decode) come back as they are, ready for saveImage
+    function resizeImage(file, { maxWidth = 1000, maxHeight = 1000, quality = 0.7, threshold = 200 * 1024 } = {}) {
+        if (!file || !file.type || !file.type.startsWith('image/') || file.size <= threshold) return Promise.resolve(file);
+        return blobToDataUrl(file).then(dataUrl => new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => {
+                try {
+                    const ratio = Math.min(1, maxWidth / img.width, maxHeight / img.height);
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(img.width * ratio);
+                    canvas.height = Math.round(img.height * ratio);
+                    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/jpeg', quality));
+                } catch (err) {
+                    console.warn('[store] image resize failed, keeping the original', err);
+                    resolve(file);
+                }
+            };
+            img.onerror = () => {
+                console.warn('[store] image could not be decoded, keeping the original');
+                resolve(file);
+            };
+            img.src = dataUrl;
+        }));
+    }
+
+    // stores an uploaded picture (File, Blob or data URL) and returns what to save in the record:
+    // an 'idb:' ref, or the data URL itself without IndexedDB
+    async function saveImage(file) {
+        if (!file) return '';
+        await ready;
+        if (!db) return typeof file === 'string' ? file : blobToDataUrl(file);
+        const data = typeof file === 'string' ? dataUrlToBlob(file) : file;
+        const key = newImageKey();
+        const tx = db.transaction('images', 'readwrite');
+        tx.objectStore('images').put(data, key);
+        await done(tx);
+        remember(key, data);
+        return IMAGE_PREFIX + key;
+    }
+
+    // removes a stored picture, unless a saved record still uses it (one picture can back several records);
+    // call it after saving the change that dropped the ref. Resolves to whether the picture was deleted
+    async function removeImage(ref) {
+        if (!isRef(ref)) return false;
+        await ready;
+        if (Object.keys(COLLECTIONS).some(key => JSON.stringify(cache[key] || []).includes(JSON.stringify(ref)))) return false;
+        const key = ref.slice(IMAGE_PREFIX.length);
+        if (db) {
+            try {
+                const tx = db.transaction('images', 'readwrite');
+                tx.objectStore('images').delete(key);
+                await done(tx);
+            } catch (err) {
+                console.warn('[store] removing a picture failed', err);
+                return false;
+            }
+        }
+        forget(key);
+        return true;
+    }
+
+    // records -> copies with 'idb:' refs replaced by data URLs, for exports that leave this browser
+    async function inlineImages(records) {
+        await loadImages(records);
+        const urls = new Map();
+        for (const value of JSON.stringify(records).match(/"idb:[^"]+"/g) || []) {
+            const ref = JSON.parse(value);
+            const data = blob(ref);
+            if (data && !urls.has(ref)) urls.set(ref, await blobToDataUrl(data));
+        }
+        return mapStrings(records, (value) => (urls.has(value) ? urls.get(value) : value));
+    }
+
+    // records -> copies with data URLs stored as pictures (imports)
+    async function storeImages(records) {
+        await ready;
+        if (!db) return records;
+        const extracted = extractImages(records);
+        if (!extracted.blobs.size) return records;
+        const tx = db.transaction('images', 'readwrite');
+        extracted.blobs.forEach((data, key) => tx.objectStore('images').put(data, key));
+        await done(tx);
+        extracted.blobs.forEach((data, key) => remember(key, data));
+        return extracted.records;
+    }
+
+    // reads the pictures `records` refer to, so src() and blob() can show them; only the ones not read yet
+    async function loadImages(records) {
+        await ready;
+        if (!db) return;
+        const missing = refKeys(records).filter(key => !images.has(key));
+        if (!missing.length) return;
+        try {
+            const tx = db.transaction('images');
+            const blobs = await Promise.all(missing.map(key => request(tx.objectStore('images').get(key))));
+            missing.forEach((key, i) => { if (blobs[i]) remember(key, blobs[i]); });
+        } catch (err) {
+            console.warn('[store] pictures could not be read', err);
+        }
+    }
+
+    // --- collections ---
+    // records written to localStorage win over the IndexedDB copy with the same id (they are the newer edit)
+    function mergeById(stored, leftover) {
+        const ids = new Set(leftover.filter(r => r && r.id != null).map(r => String(r.id)));
+        return [...leftover, ...stored.filter(r => !(r && r.id != null && ids.has(String(r.id))))];
+    }
+
+    async function loadCollection(key) {
+        const stored = (await request(db.transaction('collections').objectStore('collections').get(key))) || [];
+        const raw = localStorage.getItem(key);
+        if (raw == null) return stored;
+
+        const merged = mergeById(stored, safeParse(raw));
+        try {
+            const extracted = extractImages(merged);
+            const tx = db.transaction(['collections', 'images'], 'readwrite');
+            extracted.blobs.forEach((data, imageKey) => tx.objectStore('images').put(data, imageKey));
+            tx.objectStore('collections').put(extracted.records, key);
+            await done(tx);
+            extracted.blobs.forEach((data, imageKey) => remember(imageKey, data));
+            // IndexedDB has everything now; freeing localStorage is what makes room for the rest of the shop
+            localStorage.removeItem(key);
+            return extracted.records;
+        } catch (err) {
+            console.warn(`[store] could not move ${key} to IndexedDB, keeping it in localStorage`, err);
+            return merged;
+        }
+    }
+
+    const ready = (async () => {
+        try {
+            db = await openDb();
+            db.onversionchange = () => db.close();
+            for (const key of Object.keys(COLLECTIONS)) cache[key] = await loadCollection(key);
+        } catch (err) {
+            console.warn('[store] IndexedDB unavailable, keeping admin data in localStorage', err);
+            db = null;
+            Object.keys(COLLECTIONS).forEach(key => { cache[key] = safeParse(localStorage.getItem(key)); });
+        }
+        Object.keys(COLLECTIONS).forEach(key => { base[key] = copy(cache[key]); });
+    })();
+
+    // records of a collection (a copy, safe to change); before `ready` this is whatever localStorage still has
+    function get(key) {
+        return copy(cache[key] || safeParse(localStorage.getItem(key)));
+    }
+
+    // reads back the last saved copy of a collection, e.g. after a failed save
+    async function reload(key) {
+        if (db) {
+            cache[key] = (await request(db.transaction('collections').objectStore('collections').get(key))) || [];
+        } else {
+            cache[key] = safeParse(localStorage.getItem(key));
+        }
+        base[key] = copy(cache[key]);
+    }
+
+    // this tab's records merged with the stored ones: records changed, added or removed here win; records another
+    // tab added, changed or removed since this tab read the collection are kept as that tab left them
+    function mergeSaved(before, mine, stored) {
+        const idOf = (r) => (r && r.id != null ? String(r.id) : null);
+        const byId = (records) => new Map(records.filter(r => idOf(r) != null).map(r => [idOf(r), r]));
+        const beforeById = byId(before);
+        const storedById = byId(stored);
+        const mineIds = new Set(mine.map(idOf).filter(id => id != null));
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        // added in another tab: newest first, like records added here
+        const merged = stored.filter(r => idOf(r) != null && !mineIds.has(idOf(r)) && !beforeById.has(idOf(r)));
+        mine.forEach(r => {
+            const id = idOf(r);
+            if (id == null || !beforeById.has(id) || !same(beforeById.get(id), r)) merged.push(r);
+            else if (storedById.has(id)) merged.push(storedById.get(id));
+        });
+        return merged;
+    }
+
+    function failed(key, error) {
+        console.warn(`[store] saving ${key} failed; the last saved copy is kept`, error);
+        reload(key)
+            .catch(err => console.warn('[store] reload failed', err))
+            .then(() => {
+                window.dispatchEvent(new Event(COLLECTIONS[key]));
+                window.dispatchEvent(new CustomEvent('storeFailed', { detail: { key, error } }));
+            });
+        return false;
+    }
+
+    // saves a collection (see mergeSaved); resolves to true once saved, false when it couldn't be (see `storeFailed`)
+    async function set(key, records) {
+        const saved = copy(records);
+        cache[key] = saved;
+        await ready;
+        cache[key] = saved;
+        let merged;
+        try {
+            if (db) {
+                // read and written in one transaction, so no other tab's save lands in between
+                const tx = db.transaction('collections', 'readwrite');
+                const store = tx.objectStore('collections');
+                const current = store.get(key);
+                current.onsuccess = () => {
+                    merged = mergeSaved(base[key] || [], saved, current.result || []);
+                    store.put(merged, key);
+                };
+                await done(tx);
+            } else {
+                merged = mergeSaved(base[key] || [], saved, safeParse(localStorage.getItem(key)));
+                localStorage.setItem(key, JSON.stringify(merged));
+            }
+        } catch (err) {
+            return failed(key, err);
+        }
+        base[key] = copy(merged);
+        // a later set() in this tab has already replaced the cache
+        if (cache[key] === saved) cache[key] = merged;
+        if (channel && db) channel.postMessage({ key });
+        // other tabs' records came along: show them
+        if (JSON.stringify(merged) !== JSON.stringify(saved)) window.dispatchEvent(new Event(COLLECTIONS[key]));
+        return true;
+    }
+
+    // another tab saved a collection
+    if (channel) {
+        channel.addEventListener('message', async (e) => {
+            const key = e.data && e.data.key;
+            if (!COLLECTIONS[key]) return;
+            await ready;
+            await reload(key);
+            window.dispatchEvent(new Event(COLLECTIONS[key]));
+        });
+    }
+    window.addEventListener('storage', (e) => {
+        if (db || !COLLECTIONS[e.key]) return;
+        cache[e.key] = safeParse(e.newValue);
+        base[e.key] = copy(cache[e.key]);
+        window.dispatchEvent(new Event(COLLECTIONS[e.key]));
+    });
+
+    // { backend, used, quota, images, imageBytes, persisted } in bytes; quota is the browser's estimate
+    async function usage() {
+        await ready;
+        if (!db) {
+            let used = 0;
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                used += (key.length + (localStorage.getItem(key) || '').length) * 2; // UTF-16
+            }
+            return { backend: 'localStorage', used, quota: LOCAL_QUOTA, images: 0, imageBytes: 0, persisted: false };
+        }
+        const storage = navigator.storage || {};
+        const estimate = storage.estimate ? await storage.estimate().catch(() => null) : null;
+        const persisted = storage.persisted ? await storage.persisted().catch(() => false) : false;
+        // blob sizes only; no object URLs are made for pictures this page doesn't show
+        const stored = await request(db.transaction('images').objectStore('images').getAll()).catch(() => []);
+        const imageBytes = stored.reduce((n, data) => n + (data ? data.size : 0), 0);
+        return {
+            backend: 'indexedDB',
+            used: estimate ? estimate.usage : imageBytes,
+            quota: estimate ? estimate.quota : null,
+            images: stored.length,
+            imageBytes,
+            persisted
+        };
+    }
+
+    // asks the browser not to clear this site's storage when the disk runs low; resolves to whether it agreed
+    async function persist() {
+        const storage = navigator.storage;
+        if (!storage || !storage.persist) return false;
+        try { return await storage.persist(); } catch { return false; }
+    }
+
+    window.ShopStore = {
+        ready,
+        get,
+        set,
+        src,
+        blob,
+        resizeImage,
+        saveImage,
+        loadImages,
+        removeImage,
+        imageRefs: (records) => refKeys(records).map(key => IMAGE_PREFIX + key),
+        inlineImages,
+        storeImages,
+        usage,
+        persist,
+        isImageRef: isRef
+    };
+})();
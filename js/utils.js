@@ -0,0 +1,14 @@
+// Small helpers shared by the shop and admin pages. Load before the scripts that use them.
+// Exposed as window.ShopUtils.
+
+(function () {
+    // text for element content and quoted attributes; empty values (but not 0) become ''
+    function escapeHtml(str) {
+        if (!str && str !== 0) return '';
+        return String(str).replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+    }
+
+    window.ShopUtils = {
+        escapeHtml
+    };
+})();